@@ -17,884 +17,6115 @@
 }(typeof self !== 'undefined' ? self : this, function () {
     'use strict';
 
-    // WebSocket Service Class
-    function WebSocketService() {
-        this.socket = null;
-        this.isConnected = false;
-        this.connectionAttempts = 0;
-        this.maxConnectionAttempts = 3;
-        this.isConnecting = false;
-        this.reconnectTimer = null;
-        this.onElementClickCallbacks = [];
-        this.onInstructionCallbacks = [];
-        this.injectedContents = new Map();
-        this.isDynaDubbing = true;
-
-        // Set up the message event listener for debugging mode
-        var self = this;
-        if (typeof window !== 'undefined') {
-            window.addEventListener('message', function(event) {
-                console.log("Received message:", event.data);
-                if (event.data && event.data.type === 'SET_DEBUGGING') {
-                    console.log('Dyna dubbing set to', event.data.value);
-                    self.isDynaDubbing = !!event.data.value; // Convert to boolean
-                }
-            });
-        }
-    }
-
-    WebSocketService.prototype.connect = function(adminDashboardUrl) {
-        adminDashboardUrl = adminDashboardUrl || 'http://localhost:5203/';
-        var self = this;
-
+    var VERSION = '1.0.0';
+    // Version of the message protocol spoken with the admin dashboard, sent in the hello handshake
+    var PROTOCOL_VERSION = 1;
 
+    // Log levels, from quietest to noisiest
+    var LOG_LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
 
-        // Don't attempt to connect if already connecting or max attempts reached
-        if (this.isConnecting) {
-            console.warn('Connection attempt already in progress');
-            return;
-        }
+    // Logger Class
+    // Filters diagnostics by level and hands them to a sink (the console by default)
+    function Logger() {
+        this.level = LOG_LEVELS.warn;
+        this.sink = null; // function(level, args); null writes to the console
+    }
 
-        if (this.connectionAttempts >= this.maxConnectionAttempts) {
-            console.error('Maximum connection attempts (' + this.maxConnectionAttempts + ') reached. Please try again later.');
+    // Set the level by name: 'silent', 'error', 'warn', 'info' or 'debug'
+    Logger.prototype.setLevel = function(name) {
+        var level = LOG_LEVELS[String(name).toLowerCase()];
+        if (level === undefined) {
+            this.warn('Unknown log level:', name);
             return;
         }
+        this.level = level;
+    };
 
-        try {
-            this.isConnecting = true;
-            this.connectionAttempts++;
-            console.log('Connection attempt ' + this.connectionAttempts + '/' + this.maxConnectionAttempts);
-
-            // Convert HTTP URL to WebSocket URL
-            var wsUrl = adminDashboardUrl.replace(/^http/, 'ws');
-            this.socket = new WebSocket(wsUrl);
-
-            this.socket.onopen = function() {
-                console.log('Connected to admin dashboard');
-                self.isConnected = true;
-                self.isConnecting = false;
-                // Reset connection attempts on successful connection
-                self.connectionAttempts = 0;
-            };
-
-            this.socket.onclose = function(event) {
-                console.log('Disconnected from admin dashboard: Code ' + event.code + ' - ' + event.reason);
-                self.isConnected = false;
-                self.isConnecting = false;
-                
-                // If not a normal closure and we haven't reached max attempts, try to reconnect
-                if (event.code !== 1000 && self.connectionAttempts < self.maxConnectionAttempts) {
-                    console.log('Will retry connection in 5 seconds (attempt ' + self.connectionAttempts + '/' + self.maxConnectionAttempts + ')');
-                    
-                    // Clear any existing timer
-                    if (self.reconnectTimer) {
-                        clearTimeout(self.reconnectTimer);
-                    }
-                    
-                    // Set a new timer for reconnection
-                    self.reconnectTimer = setTimeout(function() {
-                        self.connect(adminDashboardUrl);
-                    }, 5000); // 5 second delay between reconnection attempts
-                }
-            };
-
-            this.socket.onerror = function(error) {
-                console.error('WebSocket connection error:', error);
-                self.isConnected = false;
-                // The onclose handler will be called after this, which will handle reconnection
-            };
-
-            this.socket.onmessage = function(event) {
-                try {
-                    var message = JSON.parse(event.data);
-                    if (message.type === 'element-clicked') {
-                        self.onElementClickCallbacks.forEach(function(cb) {
-                            cb(message);
-                        });
-                    } else if (message.type === 'inject-instruction') {
-                        // Handle instruction from admin dashboard
-                        var instruction = message.data;
-                        console.log('Received instruction:', instruction);
-
-                        // Process the instruction with enhanced error handling
-                        try {
-                            console.log('🔧 Calling handleInstruction with context binding...');
-                            self.handleInstruction.call(self, instruction);
-                            console.log('✅ handleInstruction completed successfully');
-                        } catch (handlerError) {
-                            console.error('❌ Error in handleInstruction:', handlerError);
-                            console.error('❌ Stack trace:', handlerError.stack);
-                            
-                            // FALLBACK: Force apply instruction bypassing shouldApplyInstruction
-                            console.log('🔧 Attempting fallback instruction processing...');
-                            try {
-                                switch (instruction.action) {
-                                    case 'replaceHTML':
-                                        console.log('🔄 FALLBACK: replaceHTML...');
-                                        if (instruction.selector && instruction.content) {
-                                            var element = document.querySelector(instruction.selector);
-                                            if (element) {
-                                                element.innerHTML = instruction.content;
-                                                console.log('✅ FALLBACK: Successfully replaced HTML');
-                                            } else {
-                                                console.error('❌ FALLBACK: Element not found:', instruction.selector);
-                                            }
-                                        }
-                                        break;
-                                    case 'removeElement':
-                                        console.log('🗑️ FALLBACK: removeElement...');
-                                        if (instruction.selector) {
-                                            var element = document.querySelector(instruction.selector);
-                                            if (element && element.parentNode) {
-                                                element.parentNode.removeChild(element);
-                                                console.log('✅ FALLBACK: Successfully removed element');
-                                            } else {
-                                                console.error('❌ FALLBACK: Element not found or no parent:', instruction.selector);
-                                            }
-                                        }
-                                        break;
-                                    case 'appendHTML':
-                                        console.log('➕ FALLBACK: appendHTML...');
-                                        if (instruction.selector && instruction.content) {
-                                            var element = document.querySelector(instruction.selector);
-                                            if (element) {
-                                                element.innerHTML += instruction.content;
-                                                console.log('✅ FALLBACK: Successfully appended HTML');
-                                            } else {
-                                                console.error('❌ FALLBACK: Element not found:', instruction.selector);
-                                            }
-                                        }
-                                        break;
-                                    default:
-                                        console.warn('❓ FALLBACK: Unknown action:', instruction.action);
-                                }
-                            } catch (fallbackError) {
-                                console.error('❌ FALLBACK: Even fallback failed:', fallbackError);
-                            }
-                        }
-                        
-                        // Notify callbacks
-                        self.onInstructionCallbacks.forEach(function(cb) {
-                            cb(instruction);
-                        });
-                    }
-                } catch (err) {
-                    console.warn('Received non-JSON message:', event.data);
-                }
-            };
+    Logger.prototype.getLevel = function() {
+        var level = this.level;
+        return Object.keys(LOG_LEVELS).filter(function(name) {
+            return LOG_LEVELS[name] === level;
+        })[0];
+    };
 
+    // Route log output elsewhere, e.g. to telemetry. Pass null to go back to the console.
+    Logger.prototype.setSink = function(sink) {
+        this.sink = typeof sink === 'function' ? sink : null;
+    };
 
+    Logger.prototype.isEnabled = function(name) {
+        return LOG_LEVELS[name] <= this.level;
+    };
 
-        } catch (error) {
-            console.error('Failed to connect to admin dashboard:', error);
-            this.isConnecting = false;
-            
-            // Try to reconnect if we haven't reached max attempts
-            if (this.connectionAttempts < this.maxConnectionAttempts) {
-                if (this.reconnectTimer) {
-                    clearTimeout(this.reconnectTimer);
-                }
-                
-                this.reconnectTimer = setTimeout(function() {
-                    self.connect(adminDashboardUrl);
-                }, 5000);
+    Logger.prototype.write = function(name, args) {
+        if (!this.isEnabled(name)) {
+            return;
+        }
+        args = Array.prototype.slice.call(args);
+        if (this.sink) {
+            try {
+                this.sink(name, args);
+            } catch (error) {
+                // A broken sink must never break the tracker
             }
+            return;
+        }
+        if (typeof console !== 'undefined') {
+            var method = name === 'debug' ? 'log' : name;
+            (console[method] || console.log).apply(console, args);
         }
     };
 
-    // Register a callback for element click events received from the server
-    WebSocketService.prototype.onElementClick = function(callback) {
-        this.onElementClickCallbacks.push(callback);
+    Logger.prototype.error = function() {
+        this.write('error', arguments);
     };
 
-    // Register a callback for instruction events received from the server
-    WebSocketService.prototype.onInstruction = function(callback) {
-        this.onInstructionCallbacks.push(callback);
+    Logger.prototype.warn = function() {
+        this.write('warn', arguments);
     };
 
-    // Check if instruction should be applied
-    WebSocketService.prototype.shouldApplyInstruction = function(instruction) {
-        console.log('🔍 shouldApplyInstruction check:');
-        console.log('  - instruction.publish:', instruction.publish);
-        console.log('  - this.isDynaDubbing:', this.isDynaDubbing);
-        
-        // FIXED: Always apply instructions to match local behavior
-        var shouldApply = true; // Force apply all instructions
-        console.log('  - Final decision (FORCE APPLY):', shouldApply);
-        
-        return shouldApply;
+    Logger.prototype.info = function() {
+        this.write('info', arguments);
     };
 
-    // Handle instructions received from the admin dashboard
-    WebSocketService.prototype.handleInstruction = function(instruction) {
-        console.log('🔧 handleInstruction called:', instruction);
-        
-        if (!this.shouldApplyInstruction(instruction)) {
-            console.log('Instruction ignored (not published and not dubbing mode)');
-            return;
-        }
-        
-        console.log('✅ Processing instruction:', instruction.action, 'on', instruction.selector);
-        
-        try {
-            switch (instruction.action) {
-                case 'appendHTML':
-                    console.log('📝 Calling appendHTML...');
-                    this.appendHTML(instruction);
-                    break;
-                case 'replaceHTML':
-                    console.log('🔄 Calling replaceHTML...');
-                    this.replaceHTML(instruction);
-                    break;
-                case 'removeElement':
-                    console.log('🗑️ Calling removeElement...');
-                    this.removeElement(instruction);
-                    break;
-                default:
-                    console.warn('Unknown instruction action:', instruction.action);
-            }
-            console.log('✅ Instruction processing completed');
-        } catch (error) {
-            console.error('❌ Error handling instruction:', error);
-            console.error('❌ Error details:', error.message);
-            console.error('❌ Stack trace:', error.stack);
-        }
+    Logger.prototype.debug = function() {
+        this.write('debug', arguments);
     };
 
-    // Append HTML content to an element
-    WebSocketService.prototype.appendHTML = function(instruction) {
-        if (!instruction.selector || !instruction.content) {
-            console.error('Invalid append instruction: Missing selector or content');
-            return;
-        }
+    var logger = new Logger();
 
-        try {
-            var element = document.querySelector(instruction.selector);
-            if (!element) {
-                console.warn('Element not found for selector: ' + instruction.selector);
-                return;
-            }
+    // The <script> tag this library was loaded from, read while the script is executing
+    var currentScript = typeof document === 'undefined' ? null : (document.currentScript ||
+        (function() {
+            var scripts = document.getElementsByTagName('script');
+            return scripts[scripts.length - 1];
+        })());
 
-            // Save the original content before modification
-            var originalContent = element.innerHTML;
-            
-            // Append the new content
-            element.innerHTML += instruction.content;
-            
-            // Store the injected content for potential reversion
-            this.injectedContents.set(instruction.id, {
-                id: instruction.id,
-                action: instruction.action,
-                selector: instruction.selector,
-                content: instruction.content,
-                originalContent: originalContent,
-                element: element,
-                timestamp: instruction.timestamp
-            });
-            
-            console.log('Successfully appended HTML to ' + instruction.selector);
-        } catch (error) {
-            console.error('Error appending HTML:', error);
-        }
-    };
+    if (currentScript && currentScript.getAttribute('data-log-level')) {
+        logger.setLevel(currentScript.getAttribute('data-log-level'));
+    }
 
-    // Replace HTML content of an element
-    WebSocketService.prototype.replaceHTML = function(instruction) {
-        console.log('🔄 replaceHTML method called with:', instruction);
-        console.log('🔄 Selector:', instruction.selector);
-        console.log('🔄 New content:', instruction.content);
-        
-        if (!instruction.selector || !instruction.content) {
-            console.error('❌ Invalid replace instruction: Missing selector or content');
-            console.log('❌ Selector provided:', !!instruction.selector);
-            console.log('❌ Content provided:', !!instruction.content);
-            return;
-        }
+    // DOM helpers shared by the instruction handlers
 
-        try {
-            console.log('🔍 Looking for element with selector:', instruction.selector);
-            var element = document.querySelector(instruction.selector);
-            console.log('🔍 Found element:', element);
-            console.log('🔍 Element exists:', !!element);
-            
-            if (!element) {
-                console.warn('⚠️ Element not found for selector: ' + instruction.selector);
-                console.log('📋 Available elements in DOM:');
-                var allElements = document.querySelectorAll('*');
-                for (var i = 0; i < Math.min(5, allElements.length); i++) {
-                    var el = allElements[i];
-                    console.log('  - ' + el.tagName + (el.id ? '#' + el.id : '') + (el.className ? '.' + el.className.split(' ').join('.') : ''));
-                }
+    // Convert a NodeList (or any array-like) into a real array
+    function toArray(list) {
+        return Array.prototype.slice.call(list || []);
+    }
+
+    // Call at most once per delay ms, dropping calls in between
+    function throttle(callback, delay) {
+        var lastCall = 0;
+        return function() {
+            var now = new Date().getTime();
+            if (now - lastCall < delay) {
                 return;
             }
+            lastCall = now;
+            return callback.apply(this, arguments);
+        };
+    }
 
-            // Save the original content before replacement
-            var originalContent = element.innerHTML;
-            console.log('📋 Original content:', originalContent.substring(0, 50) + (originalContent.length > 50 ? '...' : ''));
-            
-            // Replace the content
-            console.log('🔄 Replacing content...');
-            element.innerHTML = instruction.content;
-            
-            // Verify replacement
-            var newContent = element.innerHTML;
-            console.log('📋 New content:', newContent.substring(0, 50) + (newContent.length > 50 ? '...' : ''));
-            
-            // Store the injected content for potential reversion
-            this.injectedContents.set(instruction.id, {
-                id: instruction.id,
-                action: instruction.action,
-                selector: instruction.selector,
-                content: instruction.content,
-                originalContent: originalContent,
-                element: element,
-                timestamp: instruction.timestamp
-            });
-            console.log('💾 Stored replacement data for potential reversion');
-            
-            console.log('✅ Successfully replaced HTML in ' + instruction.selector);
-        } catch (error) {
-            console.error('❌ Error replacing HTML:', error);
-            console.error('❌ Error message:', error.message);
-            console.error('❌ Error stack:', error.stack);
-        }
-    };
+    // Insert nodes into parent before the reference node (or at the end when it is null)
+    function insertNodes(parent, nodes, reference) {
+        nodes.forEach(function(node) {
+            parent.insertBefore(node, reference);
+        });
+    }
 
-    // Remove an element from the DOM
-    WebSocketService.prototype.removeElement = function(instruction) {
-        console.log('🗑️ removeElement method called with:', instruction);
-        console.log('🗑️ Selector to remove:', instruction.selector);
-        
-        if (!instruction.selector) {
-            console.error('❌ Invalid remove instruction: Missing selector');
-            return;
+    // Detach nodes from wherever they currently are
+    function removeNodes(nodes) {
+        (nodes || []).forEach(function(node) {
+            if (node.parentNode) {
+                node.parentNode.removeChild(node);
+            }
+        });
+    }
+
+    // Swap all children of an element for the given nodes
+    function replaceChildNodes(element, nodes) {
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
         }
+        insertNodes(element, nodes, null);
+    }
 
-        try {
-            console.log('🔍 Looking for element with selector:', instruction.selector);
-            var element = document.querySelector(instruction.selector);
-            console.log('🔍 Found element:', element);
-            console.log('🔍 Element exists:', !!element);
-            
-            if (element) {
-                console.log('🔍 Element details:', {
-                    tagName: element.tagName,
-                    id: element.id,
-                    className: element.className,
-                    textContent: element.textContent ? element.textContent.substring(0, 50) : 'no text'
-                });
-            }
-            
-            if (!element) {
-                console.warn('⚠️ Element not found for selector: ' + instruction.selector);
-                console.log('📋 Available elements in DOM:');
-                var allElements = document.querySelectorAll('*');
-                for (var i = 0; i < Math.min(5, allElements.length); i++) {
-                    var el = allElements[i];
-                    console.log('  - ' + el.tagName + (el.id ? '#' + el.id : '') + (el.className ? '.' + el.className.split(' ').join('.') : ''));
-                }
-                return;
-            }
+    // Escape a value for use in a CSS selector, following CSS.escape
+    function cssEscape(value) {
+        value = String(value);
+        if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
+            return CSS.escape(value);
+        }
 
-            // Save reference to parent
-            var parent = element.parentNode;
-            console.log('👪 Parent element:', parent ? parent.tagName : 'no parent');
-            
-            if (!parent) {
-                console.error('❌ Element has no parent node');
-                return;
-            }
-            
-            // Store the removed element data for potential reversion
-            this.injectedContents.set(instruction.id, {
-                id: instruction.id,
-                action: instruction.action,
-                selector: instruction.selector,
-                originalContent: element.outerHTML,
-                element: element,
-                timestamp: instruction.timestamp
-            });
-            console.log('💾 Stored removal data for potential reversion');
-            
-            // Remove the element
-            console.log('🗑️ Removing element from DOM...');
-            parent.removeChild(element);
-            
-            // Verify removal
-            var checkElement = document.querySelector(instruction.selector);
-            console.log('🔍 Verification - element still exists:', !!checkElement);
-            
-            if (!checkElement) {
-                console.log('✅ Successfully removed element ' + instruction.selector);
+        var result = '';
+        for (var i = 0; i < value.length; i++) {
+            var code = value.charCodeAt(i);
+            var character = value.charAt(i);
+            if (code === 0) {
+                result += '\uFFFD';
+            } else if ((code >= 1 && code <= 31) || code === 127 ||
+                    (i === 0 && code >= 48 && code <= 57) ||
+                    (i === 1 && code >= 48 && code <= 57 && value.charCodeAt(0) === 45)) {
+                result += '\\' + code.toString(16) + ' ';
+            } else if (i === 0 && code === 45 && value.length === 1) {
+                result += '\\' + character;
+            } else if (code >= 128 || code === 45 || code === 95 ||
+                    (code >= 48 && code <= 57) || (code >= 65 && code <= 90) || (code >= 97 && code <= 122)) {
+                result += character;
             } else {
-                console.warn('⚠️ Element appears to still exist after removal');
+                result += '\\' + character;
             }
-            
-        } catch (error) {
-            console.error('❌ Error removing element:', error);
-            console.error('❌ Error message:', error.message);
-            console.error('❌ Error stack:', error.stack);
         }
-    };
+        return result;
+    }
 
-    // Get all active injections
-    WebSocketService.prototype.getInjections = function() {
-        return Array.from(this.injectedContents.values());
-    };
+    // Separator for selectors that cross into shadow roots and same-origin iframes,
+    // e.g. 'my-widget >>> button.buy' or 'iframe#checkout >>> form > button'
+    var DEEP_SELECTOR_SEPARATOR = ' >>> ';
 
-    // Send element click data to the server
-    WebSocketService.prototype.sendElementClick = function(elementData) {
-        if (this.socket && this.isConnected && this.socket.readyState === WebSocket.OPEN) {
-            this.socket.send(JSON.stringify({
-                type: 'element-clicked',
-                data: elementData,
-                timestamp: new Date().toISOString()
-            }));
-        } else {
-            console.warn('WebSocket not connected. Cannot send element data.');
+    // The element hosting the scope an element lives in: the shadow host for elements in a
+    // shadow root, the <iframe> for elements of a same-origin frame, null in the main document
+    function getScopeHost(element) {
+        var root = element.getRootNode ? element.getRootNode() : element.ownerDocument;
+        if (root && root.host) {
+            return root.host;
         }
-    };
-
-    // Reset connection attempts and allow trying again
-    WebSocketService.prototype.resetConnectionAttempts = function() {
-        this.connectionAttempts = 0;
-        if (this.reconnectTimer) {
-            clearTimeout(this.reconnectTimer);
-            this.reconnectTimer = null;
+        try {
+            var view = root && root.defaultView;
+            if (root !== document && view && view.frameElement) {
+                return view.frameElement;
+            }
+        } catch (error) {
+            // Cross-origin frames do not expose their frameElement
         }
-        console.log('Connection attempts reset. You can try connecting again.');
-    };
+        return null;
+    }
 
-    // Disconnect from the WebSocket server
-    WebSocketService.prototype.disconnect = function() {
-        if (this.socket) {
-            this.socket.close(1000, "Normal closure");
-            this.socket = null;
-            this.isConnected = false;
+    // The document or shadow root an element's selector is resolved in
+    function getSelectorScope(element) {
+        return element.getRootNode ? element.getRootNode() : element.ownerDocument;
+    }
+
+    // The scope a deep selector steps into from a host: its open shadow root or, for a
+    // same-origin iframe, its document
+    function getInnerScope(host) {
+        if (host.shadowRoot) {
+            return host.shadowRoot;
         }
-        
-        // Clear any pending reconnection timer
-        if (this.reconnectTimer) {
-            clearTimeout(this.reconnectTimer);
-            this.reconnectTimer = null;
+        if (host.nodeName === 'IFRAME' || host.nodeName === 'FRAME') {
+            try {
+                return host.contentDocument || null;
+            } catch (error) {
+                return null; // Cross-origin
+            }
         }
-    };
+        return null;
+    }
 
-    // Element Clicking Tracker Class
-    function ElementClickingTracker() {
-        this.enabled = false;
-        this.throttledClickHandler = null;
-        this.websocketService = null; // Will be set later
+    // Prefix a selector built inside a shadow root or iframe with the path to its host
+    function prefixWithHost(element, selector, buildHostSelector) {
+        var host = getScopeHost(element);
+        return host ? buildHostSelector(host) + DEEP_SELECTOR_SEPARATOR + selector : selector;
     }
 
-    ElementClickingTracker.prototype.enable = function() {
-        if (this.enabled) {
-            return;
+    // querySelectorAll that understands '>>>' to step into shadow roots and same-origin iframes
+    function querySelectorAllDeep(selector, scope) {
+        var parts = String(selector).split(/\s*>>>\s*/);
+        var matches = toArray((scope || document).querySelectorAll(parts[0]));
+        if (parts.length === 1) {
+            return matches;
         }
 
-        var self = this;
-        this.enabled = true;
-
-        var handleElementClick = function(event) {
-            var element = event.target;
-            var tagName = element.tagName ? element.tagName.toLowerCase() : '';
-            
-            console.log('Element clicked:', self.getElementPath(element));
-            
-            var id = element.id || null;
-            var className = element.className || null;
-            
-            // Skip if clicking on body or document
-            if (tagName === 'body' || tagName === 'html') {
-                return;
+        var rest = parts.slice(1).join(DEEP_SELECTOR_SEPARATOR);
+        var results = [];
+        matches.forEach(function(host) {
+            var inner = getInnerScope(host);
+            if (inner) {
+                results = results.concat(querySelectorAllDeep(rest, inner));
             }
-            
-            // Highlight the clicked element temporarily
-            self.highlightElement(element);
-            
-            // Send element data
-            self.sendElementData(element);
-        };
-
-        // Throttle function
-        var throttle = function(callback, delay) {
-            var lastCall = 0;
-            return function() {
-                var now = new Date().getTime();
-                var args = arguments;
-                if (now - lastCall < delay) {
-                    return;
-                }
-                lastCall = now;
-                return callback.apply(this, args);
-            };
-        };
+        });
+        return results;
+    }
 
-        this.throttledClickHandler = throttle(handleElementClick, 300);
+    // First match of a deep selector, or null
+    function querySelectorDeep(selector, scope) {
+        return querySelectorAllDeep(selector, scope)[0] || null;
+    }
 
-        console.log('Element click tracking enabled');
-        document.addEventListener('click', this.throttledClickHandler);
-    };
+    // The element an event really happened on. Events from inside shadow roots are retargeted
+    // to the host, but composedPath() still starts at the original element.
+    function getEventTarget(event) {
+        var path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+        var target = path.length ? path[0] : event.target;
+        if (target && target.nodeType === 3) {
+            target = target.parentNode;
+        }
+        return target;
+    }
 
-    ElementClickingTracker.prototype.disable = function() {
-        if (!this.enabled) {
-            return;
+    // Whether a node sits inside root, looking out through shadow hosts and iframes.
+    // A null root stands for the whole page.
+    function isWithinRoot(root, node) {
+        if (!root) {
+            return true;
+        }
+        while (node) {
+            if (root.contains(node)) {
+                return true;
+            }
+            node = getScopeHost(node);
         }
+        return false;
+    }
 
-        this.enabled = false;
+    // Tag name plus :nth-of-type when the element has siblings with the same tag
+    function positionalSegment(element) {
+        var tagName = element.nodeName.toLowerCase();
+        var index = 1;
+        var hasSameTagSiblings = false;
+        var sibling = element;
 
-        if (this.throttledClickHandler) {
-            document.removeEventListener('click', this.throttledClickHandler);
-            this.throttledClickHandler = null;
+        while ((sibling = sibling.previousElementSibling)) {
+            if (sibling.nodeName.toLowerCase() === tagName) {
+                index++;
+            }
+        }
+        sibling = element;
+        while (!hasSameTagSiblings && (sibling = sibling.nextElementSibling)) {
+            hasSameTagSiblings = sibling.nodeName.toLowerCase() === tagName;
         }
 
-        console.log('Element click tracking disabled');
-    };
+        return index !== 1 || hasSameTagSiblings ? tagName + ':nth-of-type(' + index + ')' : tagName;
+    }
 
-    ElementClickingTracker.prototype.getElementPath = function(element) {
+    // Build a CSS path for an element, from its closest ancestor with an id down to it.
+    // Elements in shadow roots and iframes get their host's path in front, joined by '>>>'.
+    function buildElementPath(element) {
         if (!element || element.nodeType !== 1) {
             return '';
         }
         
+        var start = element;
         var path = [];
         while (element && element.nodeType === 1) {
-            var selector = element.nodeName.toLowerCase();
-            
             if (element.id) {
-                selector += '#' + element.id;
-                path.unshift(selector);
+                path.unshift(element.nodeName.toLowerCase() + '#' + cssEscape(element.id));
                 break;
-            } else {
-                var sibling = element;
-                var index = 1;
-                
-                while (sibling = sibling.previousElementSibling) {
-                    if (sibling.nodeName.toLowerCase() === selector) {
-                        index++;
-                    }
-                }
-                
-                if (index !== 1) {
-                    selector += ':nth-of-type(' + index + ')';
-                }
             }
-            
-            path.unshift(selector);
+            path.unshift(positionalSegment(element));
             element = element.parentNode;
         }
         
-        return path.join(' > ');
-    };
+        return prefixWithHost(start, path.join(' > '), buildElementPath);
+    }
 
-    // Function to highlight a clicked element temporarily
-    ElementClickingTracker.prototype.highlightElement = function(element) {
+    // Build the full positional path from the root element, ignoring ids and attributes
+    function buildPositionalPath(element) {
         if (!element || element.nodeType !== 1) {
-            return;
+            return '';
         }
+        return prefixWithHost(element, buildLocalPositionalPath(element), buildPositionalPath);
+    }
 
-        // Store original styles to restore later
-        var originalOutline = element.style.outline;
-        var originalOutlineOffset = element.style.outlineOffset;
-        var originalTransition = element.style.transition;
-        
-        // Apply highlight styles
-        element.style.outline = '2px solid rgba(0, 255, 98, 0.7)';
-        element.style.outlineOffset = '2px';
-        element.style.transition = 'outline 0.2s ease-in-out';
-        
-        // Remove highlight after 2 seconds
-        setTimeout(function() {
-            element.style.outline = originalOutline;
-            element.style.outlineOffset = originalOutlineOffset;
-            element.style.transition = originalTransition;
-        }, 2000);
-    };
+    // Positional path within the element's own document or shadow root
+    function buildLocalPositionalPath(element) {
+        var path = [];
+        while (element && element.nodeType === 1) {
+            path.unshift(positionalSegment(element));
+            element = element.parentNode;
+        }
+        return path.join(' > ');
+    }
 
-    ElementClickingTracker.prototype.sendElementData = function(element) {
-        console.log('🔍 CDN: sendElementData called with element:', element);
-        
-        var tagName = element.tagName ? element.tagName.toLowerCase() : '';
-        var id = element.id || null;
-        var className = element.className || null;
-        
-        console.log('🔍 CDN: Basic element properties:', {
+    // Check that a selector matches exactly this element and nothing else in its document
+    // (or shadow root)
+    function isUniqueSelector(selector, element) {
+        try {
+            var matches = getSelectorScope(element).querySelectorAll(selector);
+            return matches.length === 1 && matches[0] === element;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // A selector that identifies the element on its own: its id or one of the stable attributes,
+    // as long as the result is unique in the document. Returns null when there is none.
+    function findAnchorSelector(element, stableAttributes) {
+        var tagName = element.nodeName.toLowerCase();
+        var candidates = [];
+
+        if (element.id) {
+            candidates.push('#' + cssEscape(element.id));
+        }
+        stableAttributes.forEach(function(name) {
+            var value = element.getAttribute(name);
+            if (value) {
+                var attributeSelector = '[' + cssEscape(name) + '="' + value.replace(/["\\]/g, '\\$&') + '"]';
+                candidates.push(attributeSelector, tagName + attributeSelector);
+            }
+        });
+
+        for (var i = 0; i < candidates.length; i++) {
+            if (isUniqueSelector(candidates[i], element)) {
+                return candidates[i];
+            }
+        }
+        return null;
+    }
+
+    // Build the shortest robust selector for an element. Ids and stable attributes (such as
+    // data-testid) on the element or its closest anchored ancestor are preferred over
+    // positions, and every candidate is checked to be unique. Falls back to the full
+    // positional path when nothing shorter is unique.
+    function buildUniqueSelector(element, stableAttributes) {
+        if (!element || element.nodeType !== 1) {
+            return '';
+        }
+        stableAttributes = stableAttributes || [];
+
+        return prefixWithHost(element, buildLocalUniqueSelector(element, stableAttributes), function(host) {
+            return buildUniqueSelector(host, stableAttributes);
+        });
+    }
+
+    // Unique selector within the element's own document or shadow root
+    function buildLocalUniqueSelector(element, stableAttributes) {
+        var anchor = findAnchorSelector(element, stableAttributes);
+        if (anchor) {
+            return anchor;
+        }
+
+        var chain = [positionalSegment(element)];
+        var current = element.parentElement;
+        while (current) {
+            if (isUniqueSelector(chain.join(' > '), element)) {
+                return chain.join(' > ');
+            }
+
+            var ancestorAnchor = findAnchorSelector(current, stableAttributes);
+            if (ancestorAnchor) {
+                var anchored = ancestorAnchor + ' > ' + chain.join(' > ');
+                if (isUniqueSelector(anchored, element)) {
+                    return anchored;
+                }
+            }
+
+            chain.unshift(positionalSegment(current));
+            current = current.parentElement;
+        }
+
+        return buildLocalPositionalPath(element);
+    }
+
+    // Run querySelector (with '>>>' support) in a scope (the document by default), treating an
+    // invalid selector as no match
+    function querySelectorSafe(selector, scope) {
+        try {
+            return querySelectorDeep(selector, scope);
+        } catch (error) {
+            logger.warn('⚠️ Invalid selector: ' + selector);
+            return null;
+        }
+    }
+
+    // Collapse whitespace so text comparisons ignore formatting
+    function normalizeText(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // Find the single element matching a fingerprint: { tagName, text, attributes }.
+    // All given parts must match; ambiguous fingerprints match nothing. Only elements inside
+    // scope (the document by default) are considered.
+    function findByFingerprint(fingerprint, scope) {
+        var candidates;
+        try {
+            candidates = toArray((scope || document).querySelectorAll(fingerprint.tagName || '*'));
+        } catch (error) {
+            logger.warn('⚠️ Invalid fingerprint tag name: ' + fingerprint.tagName);
+            return null;
+        }
+        var attributes = fingerprint.attributes || {};
+        var matches = candidates.filter(function(element) {
+            var attributesMatch = Object.keys(attributes).every(function(name) {
+                return element.getAttribute(name) === String(attributes[name]);
+            });
+            if (!attributesMatch) {
+                return false;
+            }
+            return fingerprint.text === undefined || normalizeText(element.textContent) === normalizeText(fingerprint.text);
+        });
+
+        if (matches.length > 1) {
+            logger.warn('⚠️ Fingerprint matched ' + matches.length + ' elements, ignoring it');
+            return null;
+        }
+        return matches[0] || null;
+    }
+
+    // Check whether a node is still part of a live document
+    function isAttached(node) {
+        if (typeof node.isConnected === 'boolean') {
+            return node.isConnected;
+        }
+        return !!node.ownerDocument && node.ownerDocument.documentElement.contains(node);
+    }
+
+    // Remember where a node sits so it can be put back later
+    function capturePosition(node) {
+        var parent = node.parentNode;
+        return {
+            parent: parent,
+            nextSibling: node.nextSibling,
+            siblingIndex: parent ? toArray(parent.childNodes).indexOf(node) : -1
+        };
+    }
+
+    // Put a node back at a position captured by capturePosition, falling back to the
+    // sibling index when the original next sibling has moved
+    function restorePosition(node, position) {
+        var parent = position.parent;
+        var reference = null;
+        if (position.nextSibling && position.nextSibling.parentNode === parent) {
+            reference = position.nextSibling;
+        } else if (position.siblingIndex >= 0 && position.siblingIndex < parent.childNodes.length) {
+            reference = parent.childNodes[position.siblingIndex];
+        }
+        parent.insertBefore(node, reference);
+    }
+
+    // Split a class list given as a string or array
+    function splitClassNames(classNames) {
+        if (Array.isArray(classNames)) {
+            return classNames;
+        }
+        return String(classNames || '').split(/\s+/).filter(Boolean);
+    }
+
+    // Turn camelCase style names into the kebab-case setProperty expects
+    function toCssPropertyName(name) {
+        if (name.indexOf('--') === 0) {
+            return name;
+        }
+        return name.replace(/[A-Z]/g, function(letter) {
+            return '-' + letter.toLowerCase();
+        });
+    }
+
+    // Apply inline style declarations, returning the previous values for reverting
+    function applyStyles(element, styles) {
+        var previous = { __hadStyleAttribute: element.hasAttribute('style') };
+        Object.keys(styles).forEach(function(name) {
+            var property = toCssPropertyName(name);
+            var value = String(styles[name]);
+            var important = /\s*!important\s*$/.test(value);
+            previous[property] = {
+                value: element.style.getPropertyValue(property),
+                priority: element.style.getPropertyPriority(property)
+            };
+            element.style.setProperty(property, value.replace(/\s*!important\s*$/, ''), important ? 'important' : '');
+        });
+        return previous;
+    }
+
+    // Put back inline style values captured by applyStyles
+    function restoreStyles(element, previous) {
+        Object.keys(previous || {}).forEach(function(property) {
+            if (property === '__hadStyleAttribute') {
+                return;
+            }
+            if (previous[property].value) {
+                element.style.setProperty(property, previous[property].value, previous[property].priority);
+            } else {
+                element.style.removeProperty(property);
+            }
+        });
+        dropEmptyAttribute(element, 'style', previous.__hadStyleAttribute);
+    }
+
+    // Read back the current inline values of the properties captured by applyStyles, so later
+    // comparisons use the browser's normalised form
+    function readStyles(element, previous) {
+        var values = {};
+        Object.keys(previous).forEach(function(property) {
+            if (property !== '__hadStyleAttribute') {
+                values[property] = element.style.getPropertyValue(property);
+            }
+        });
+        return values;
+    }
+
+    // Check that inline values read by readStyles are still in place
+    function stylesStillApplied(element, values) {
+        return Object.keys(values || {}).every(function(property) {
+            return element.style.getPropertyValue(property) === values[property];
+        });
+    }
+
+    // Remove a class/style attribute left empty by a revert when the element never had it
+    function dropEmptyAttribute(element, name, hadAttribute) {
+        if (!hadAttribute && element.getAttribute(name) === '') {
+            element.removeAttribute(name);
+        }
+    }
+
+    // Callbacks run after client-side navigation (history API, back/forward, hash changes)
+    var routeChangeListeners = [];
+
+    // Register a route change callback. The history API is patched once, on first use,
+    // because SPA routers change the URL without firing any event.
+    function onRouteChange(callback) {
+        routeChangeListeners.push(callback);
+        if (routeChangeListeners.length > 1 || typeof window === 'undefined' || !window.history) {
+            return;
+        }
+
+        var notify = function() {
+            routeChangeListeners.forEach(function(listener) {
+                listener(window.location.href);
+            });
+        };
+
+        ['pushState', 'replaceState'].forEach(function(method) {
+            var original = window.history[method];
+            if (typeof original !== 'function') {
+                return;
+            }
+            window.history[method] = function() {
+                var result = original.apply(this, arguments);
+                notify();
+                return result;
+            };
+        });
+
+        window.addEventListener('popstate', notify);
+        window.addEventListener('hashchange', notify);
+    }
+
+    // Unregister a route change callback. The history API stays patched for the others.
+    function offRouteChange(callback) {
+        var index = routeChangeListeners.indexOf(callback);
+        if (index !== -1) {
+            routeChangeListeners.splice(index, 1);
+        }
+    }
+
+    // Whether a path matches a pattern where '*' stands for any run of characters,
+    // e.g. '/products/*' or '*/checkout'
+    function matchesPathPattern(path, pattern) {
+        var source = String(pattern).split('*').map(function(part) {
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('.*');
+        return new RegExp('^' + source + '$').test(path);
+    }
+
+    // Read the page's query parameters into an object (the first value wins for repeated names)
+    function getQueryParams() {
+        var params = {};
+        window.location.search.replace(/^\?/, '').split('&').forEach(function(pair) {
+            if (!pair) {
+                return;
+            }
+            var index = pair.indexOf('=');
+            var name = decodeURIComponent((index === -1 ? pair : pair.slice(0, index)).replace(/\+/g, ' '));
+            var value = index === -1 ? '' : decodeURIComponent(pair.slice(index + 1).replace(/\+/g, ' '));
+            if (!Object.prototype.hasOwnProperty.call(params, name)) {
+                params[name] = value;
+            }
+        });
+        return params;
+    }
+
+    // Custom targeting checks keyed by name, registered with registerTargetingPredicate.
+    // Each is called with the instruction and returns true when it should apply.
+    var targetingPredicates = {};
+
+    // Check an instruction's targeting rules against the current page:
+    // { paths: ['/products/*'], viewport: { minWidth, maxWidth }, query: { name: value | true | false },
+    //   predicates: ['name'] }. Every rule given must pass. Returns why it does not apply, or null.
+    function checkTargeting(instruction) {
+        var targeting = instruction.targeting;
+        if (!targeting) {
+            return null;
+        }
+
+        var path = window.location.pathname;
+        if (Array.isArray(targeting.paths) && targeting.paths.length && !targeting.paths.some(function(pattern) {
+            return matchesPathPattern(path, pattern);
+        })) {
+            return 'Path ' + path + ' does not match ' + targeting.paths.join(', ');
+        }
+
+        var viewport = targeting.viewport;
+        if (viewport) {
+            var width = window.innerWidth;
+            if ((viewport.minWidth !== undefined && width < viewport.minWidth) ||
+                (viewport.maxWidth !== undefined && width > viewport.maxWidth)) {
+                return 'Viewport width ' + width + 'px is outside ' +
+                    (viewport.minWidth !== undefined ? viewport.minWidth : 0) + '-' +
+                    (viewport.maxWidth !== undefined ? viewport.maxWidth : '∞') + 'px';
+            }
+        }
+
+        if (targeting.query) {
+            var params = getQueryParams();
+            var failedParam = Object.keys(targeting.query).filter(function(name) {
+                var expected = targeting.query[name];
+                var present = Object.prototype.hasOwnProperty.call(params, name);
+                if (expected === true) {
+                    return !present;
+                }
+                if (expected === false) {
+                    return present;
+                }
+                return !present || params[name] !== String(expected);
+            })[0];
+            if (failedParam !== undefined) {
+                return 'Query parameter ' + failedParam + ' does not match';
+            }
+        }
+
+        var predicates = targeting.predicates || [];
+        for (var i = 0; i < predicates.length; i++) {
+            var predicate = targetingPredicates[predicates[i]];
+            if (!predicate) {
+                return 'Unknown targeting predicate: ' + predicates[i];
+            }
+            try {
+                if (!predicate(instruction)) {
+                    return 'Targeting predicate ' + predicates[i] + ' returned false';
+                }
+            } catch (error) {
+                logger.error('❌ Targeting predicate ' + predicates[i] + ' threw:', error);
+                return 'Targeting predicate ' + predicates[i] + ' threw: ' + error.message;
+            }
+        }
+        return null;
+    }
+
+    // Read a startAt/endAt value (ISO string or epoch milliseconds) as epoch milliseconds,
+    // NaN when missing or invalid
+    function parseTime(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        return typeof value === 'string' ? Date.parse(value) : NaN;
+    }
+
+    // setTimeout caps delays at about 24.8 days, so longer waits are chained
+    var MAX_TIMEOUT_DELAY = 2147483647;
+
+    // Call back at an absolute time. Returns a handle for clearTimeoutAt.
+    function setTimeoutAt(timestamp, callback) {
+        var handle = { timer: null };
+        var arm = function() {
+            var delay = timestamp - Date.now();
+            if (delay <= 0) {
+                handle.timer = null;
+                callback();
+                return;
+            }
+            handle.timer = setTimeout(arm, Math.min(delay, MAX_TIMEOUT_DELAY));
+        };
+        handle.timer = setTimeout(arm, Math.max(0, Math.min(timestamp - Date.now(), MAX_TIMEOUT_DELAY)));
+        return handle;
+    }
+
+    function clearTimeoutAt(handle) {
+        if (handle && handle.timer) {
+            clearTimeout(handle.timer);
+            handle.timer = null;
+        }
+    }
+
+    // Instruction handlers keyed by action name. Each handler lists the instruction fields it
+    // requires, applies the instruction to the resolved element and returns the extra state
+    // stored in injectedContents; revert receives that stored entry to undo the change.
+    // Handlers that take the element out of the DOM return detached: true. The optional
+    // isIntact check tells persistent injections whether the page has undone the change.
+    // apply also receives a context whose parseHTML sanitizes markup before it is used and
+    // whose isAttributeSafe screens attribute values.
+    var instructionHandlers = {
+        appendHTML: {
+            requires: ['content'],
+            apply: function(element, instruction, context) {
+                var nodes = context.parseHTML(instruction.content);
+                insertNodes(element, nodes, null);
+                return { insertedNodes: nodes };
+            },
+            revert: function(entry) {
+                removeNodes(entry.insertedNodes);
+            },
+            isIntact: function(entry) {
+                return entry.insertedNodes.every(isAttached);
+            }
+        },
+
+        prependHTML: {
+            requires: ['content'],
+            apply: function(element, instruction, context) {
+                var nodes = context.parseHTML(instruction.content);
+                insertNodes(element, nodes, element.firstChild);
+                return { insertedNodes: nodes };
+            },
+            revert: function(entry) {
+                removeNodes(entry.insertedNodes);
+            },
+            isIntact: function(entry) {
+                return entry.insertedNodes.every(isAttached);
+            }
+        },
+
+        insertBefore: {
+            requires: ['content'],
+            requiresParent: true,
+            apply: function(element, instruction, context) {
+                var nodes = context.parseHTML(instruction.content);
+                insertNodes(element.parentNode, nodes, element);
+                return { insertedNodes: nodes };
+            },
+            revert: function(entry) {
+                removeNodes(entry.insertedNodes);
+            },
+            isIntact: function(entry) {
+                return entry.insertedNodes.every(isAttached);
+            }
+        },
+
+        insertAfter: {
+            requires: ['content'],
+            requiresParent: true,
+            apply: function(element, instruction, context) {
+                var nodes = context.parseHTML(instruction.content);
+                insertNodes(element.parentNode, nodes, element.nextSibling);
+                return { insertedNodes: nodes };
+            },
+            revert: function(entry) {
+                removeNodes(entry.insertedNodes);
+            },
+            isIntact: function(entry) {
+                return entry.insertedNodes.every(isAttached);
+            }
+        },
+
+        // The original child nodes are kept so a revert restores the same nodes (and their listeners)
+        replaceHTML: {
+            requires: ['content'],
+            apply: function(element, instruction, context) {
+                var originalNodes = toArray(element.childNodes);
+                replaceChildNodes(element, context.parseHTML(instruction.content));
+                return { originalNodes: originalNodes, appliedHTML: element.innerHTML };
+            },
+            revert: function(entry) {
+                replaceChildNodes(entry.element, entry.originalNodes);
+            },
+            isIntact: function(entry) {
+                return entry.element.innerHTML === entry.appliedHTML;
+            }
+        },
+
+        replaceOuterHTML: {
+            requires: ['content'],
+            requiresParent: true,
+            apply: function(element, instruction, context) {
+                var nodes = context.parseHTML(instruction.content);
+                var position = capturePosition(element);
+                insertNodes(element.parentNode, nodes, element);
+                element.parentNode.removeChild(element);
+                return {
+                    insertedNodes: nodes,
+                    originalContent: element.outerHTML,
+                    detached: true,
+                    parent: position.parent,
+                    nextSibling: position.nextSibling,
+                    siblingIndex: position.siblingIndex
+                };
+            },
+            revert: function(entry) {
+                var anchor = entry.insertedNodes.filter(function(node) {
+                    return node.parentNode === entry.parent;
+                })[0];
+                if (anchor) {
+                    entry.parent.insertBefore(entry.element, anchor);
+                } else {
+                    restorePosition(entry.element, entry);
+                }
+                removeNodes(entry.insertedNodes);
+            },
+            isIntact: function(entry) {
+                return entry.insertedNodes.every(isAttached);
+            }
+        },
+
+        setText: {
+            requires: ['content'],
+            apply: function(element, instruction) {
+                var originalNodes = toArray(element.childNodes);
+                element.textContent = instruction.content;
+                return { originalNodes: originalNodes };
+            },
+            revert: function(entry) {
+                replaceChildNodes(entry.element, entry.originalNodes);
+            },
+            isIntact: function(entry) {
+                return entry.element.textContent === String(entry.content);
+            }
+        },
+
+        setAttribute: {
+            requires: ['attribute', 'value'],
+            apply: function(element, instruction, context) {
+                if (!context.isAttributeSafe(instruction.attribute, String(instruction.value))) {
+                    context.stripped.push(element.nodeName.toLowerCase() + '[' + instruction.attribute + ']');
+                    throw new Error('Attribute not allowed by sanitizer: ' + instruction.attribute);
+                }
+                var state = {
+                    hadAttribute: element.hasAttribute(instruction.attribute),
+                    previousValue: element.getAttribute(instruction.attribute)
+                };
+                element.setAttribute(instruction.attribute, instruction.value);
+                return state;
+            },
+            revert: function(entry) {
+                if (entry.hadAttribute) {
+                    entry.element.setAttribute(entry.attribute, entry.previousValue);
+                } else {
+                    entry.element.removeAttribute(entry.attribute);
+                }
+            },
+            isIntact: function(entry) {
+                return entry.element.getAttribute(entry.attribute) === String(entry.instruction.value);
+            }
+        },
+
+        removeAttribute: {
+            requires: ['attribute'],
+            apply: function(element, instruction) {
+                var state = {
+                    hadAttribute: element.hasAttribute(instruction.attribute),
+                    previousValue: element.getAttribute(instruction.attribute)
+                };
+                element.removeAttribute(instruction.attribute);
+                return state;
+            },
+            revert: function(entry) {
+                if (entry.hadAttribute) {
+                    entry.element.setAttribute(entry.attribute, entry.previousValue);
+                }
+            },
+            isIntact: function(entry) {
+                return !entry.element.hasAttribute(entry.attribute);
+            }
+        },
+
+        // Only classes that were actually added are removed again on revert
+        addClass: {
+            requires: ['className'],
+            apply: function(element, instruction) {
+                var added = splitClassNames(instruction.className).filter(function(name) {
+                    return !element.classList.contains(name);
+                });
+                var hadClassAttribute = element.hasAttribute('class');
+                added.forEach(function(name) {
+                    element.classList.add(name);
+                });
+                return { changedClasses: added, hadClassAttribute: hadClassAttribute };
+            },
+            revert: function(entry) {
+                entry.changedClasses.forEach(function(name) {
+                    entry.element.classList.remove(name);
+                });
+                dropEmptyAttribute(entry.element, 'class', entry.hadClassAttribute);
+            },
+            isIntact: function(entry) {
+                return splitClassNames(entry.instruction.className).every(function(name) {
+                    return entry.element.classList.contains(name);
+                });
+            }
+        },
+
+        removeClass: {
+            requires: ['className'],
+            apply: function(element, instruction) {
+                var removed = splitClassNames(instruction.className).filter(function(name) {
+                    return element.classList.contains(name);
+                });
+                removed.forEach(function(name) {
+                    element.classList.remove(name);
+                });
+                return { changedClasses: removed };
+            },
+            revert: function(entry) {
+                entry.changedClasses.forEach(function(name) {
+                    entry.element.classList.add(name);
+                });
+            },
+            isIntact: function(entry) {
+                return !splitClassNames(entry.instruction.className).some(function(name) {
+                    return entry.element.classList.contains(name);
+                });
+            }
+        },
+
+        // styles is an object of property/value pairs; append !important to a value to force it
+        setStyle: {
+            requires: ['styles'],
+            apply: function(element, instruction) {
+                var previousStyles = applyStyles(element, instruction.styles);
+                return { previousStyles: previousStyles, appliedStyles: readStyles(element, previousStyles) };
+            },
+            revert: function(entry) {
+                restoreStyles(entry.element, entry.previousStyles);
+            },
+            isIntact: function(entry) {
+                return stylesStillApplied(entry.element, entry.appliedStyles);
+            }
+        },
+
+        hideElement: {
+            requires: [],
+            apply: function(element) {
+                var previousStyles = applyStyles(element, { display: 'none !important' });
+                return { previousStyles: previousStyles, appliedStyles: readStyles(element, previousStyles) };
+            },
+            revert: function(entry) {
+                restoreStyles(entry.element, entry.previousStyles);
+            },
+            isIntact: function(entry) {
+                return stylesStillApplied(entry.element, entry.appliedStyles);
+            }
+        },
+
+        // The removed node itself is kept, so it comes back with its listeners at the same position
+        removeElement: {
+            requires: [],
+            requiresParent: true,
+            apply: function(element) {
+                var position = capturePosition(element);
+                element.parentNode.removeChild(element);
+                return {
+                    originalContent: element.outerHTML,
+                    detached: true,
+                    parent: position.parent,
+                    nextSibling: position.nextSibling,
+                    siblingIndex: position.siblingIndex
+                };
+            },
+            revert: function(entry) {
+                restorePosition(entry.element, entry);
+            }
+        }
+    };
+
+    // HTML Sanitizer Class
+    // Cleans server-supplied markup against an allowlist before it is written into the page
+    function HtmlSanitizer() {
+        this.enabled = true;
+        this.allowedTags = [
+            'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'button',
+            'caption', 'cite', 'code', 'col', 'colgroup', 'data', 'dd', 'del', 'details', 'dfn', 'div',
+            'dl', 'dt', 'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+            'header', 'hr', 'i', 'img', 'ins', 'kbd', 'label', 'li', 'main', 'mark', 'nav', 'ol', 'p',
+            'picture', 'pre', 'q', 's', 'samp', 'section', 'small', 'source', 'span', 'strong', 'sub',
+            'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul',
+            'var', 'wbr'
+        ];
+        // Tags removed together with everything inside them. Other disallowed tags are unwrapped.
+        this.removeContentTags = [
+            'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template',
+            'noscript', 'link', 'meta', 'base', 'svg', 'math'
+        ];
+        // Attribute names allowed per tag; '*' applies to every tag. A trailing '*' is a prefix match.
+        this.allowedAttributes = {
+            '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'style', 'tabindex', 'hidden', 'aria-*', 'data-*'],
+            a: ['href', 'target', 'rel', 'download', 'hreflang'],
+            img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading', 'decoding'],
+            source: ['src', 'srcset', 'sizes', 'type', 'media'],
+            button: ['type', 'name', 'value', 'disabled'],
+            label: ['for'],
+            ol: ['start', 'reversed', 'type'],
+            td: ['colspan', 'rowspan', 'headers'],
+            th: ['colspan', 'rowspan', 'headers', 'scope'],
+            col: ['span'],
+            colgroup: ['span'],
+            blockquote: ['cite'],
+            q: ['cite'],
+            del: ['cite', 'datetime'],
+            ins: ['cite', 'datetime'],
+            time: ['datetime'],
+            data: ['value'],
+            details: ['open']
+        };
+        this.urlAttributes = ['href', 'src', 'srcset', 'cite', 'action', 'formaction', 'poster', 'xlink:href'];
+        this.allowedSchemes = ['http', 'https', 'mailto', 'tel'];
+    }
+
+    // Extend the allowlists for this deployment:
+    // { enabled, allowedTags: [...], allowedAttributes: { tag: [...] }, allowedSchemes: [...] }
+    HtmlSanitizer.prototype.configure = function(options) {
+        var self = this;
+        options = options || {};
+
+        if (options.enabled !== undefined) {
+            this.enabled = !!options.enabled;
+        }
+        (options.allowedTags || []).forEach(function(tag) {
+            tag = tag.toLowerCase();
+            if (self.allowedTags.indexOf(tag) === -1) {
+                self.allowedTags.push(tag);
+            }
+            self.removeContentTags = self.removeContentTags.filter(function(removed) {
+                return removed !== tag;
+            });
+        });
+        Object.keys(options.allowedAttributes || {}).forEach(function(tag) {
+            var key = tag === '*' ? tag : tag.toLowerCase();
+            self.allowedAttributes[key] = (self.allowedAttributes[key] || []).concat(options.allowedAttributes[tag]);
+        });
+        (options.allowedSchemes || []).forEach(function(scheme) {
+            scheme = scheme.toLowerCase().replace(/:$/, '');
+            if (self.allowedSchemes.indexOf(scheme) === -1) {
+                self.allowedSchemes.push(scheme);
+            }
+        });
+    };
+
+    // Parse and clean an HTML string. Returns { nodes, stripped } where stripped lists the
+    // tags and attributes that were removed, e.g. '<script>' or 'img[onerror]'.
+    HtmlSanitizer.prototype.sanitize = function(html) {
+        // Template content is inert: nothing in it runs or loads while it is being cleaned
+        var template = document.createElement('template');
+        template.innerHTML = html;
+        var stripped = [];
+
+        if (this.enabled) {
+            this.cleanChildren(template.content, stripped);
+        }
+
+        return {
+            nodes: toArray(template.content.childNodes),
+            stripped: stripped.filter(function(item, index) {
+                return stripped.indexOf(item) === index;
+            })
+        };
+    };
+
+    // Walk the children of a node, removing or unwrapping disallowed elements and attributes
+    HtmlSanitizer.prototype.cleanChildren = function(parent, stripped) {
+        var self = this;
+
+        toArray(parent.childNodes).forEach(function(node) {
+            if (node.nodeType === 8) {
+                parent.removeChild(node); // Comments can hide conditional markup
+                return;
+            }
+            if (node.nodeType !== 1) {
+                return;
+            }
+
+            var tagName = node.nodeName.toLowerCase();
+            if (self.allowedTags.indexOf(tagName) === -1) {
+                stripped.push('<' + tagName + '>');
+                if (self.removeContentTags.indexOf(tagName) !== -1) {
+                    parent.removeChild(node);
+                } else {
+                    self.cleanChildren(node, stripped);
+                    insertNodes(parent, toArray(node.childNodes), node);
+                    parent.removeChild(node);
+                }
+                return;
+            }
+
+            toArray(node.attributes).forEach(function(attr) {
+                if (!self.isAttributeAllowed(tagName, attr.name, attr.value)) {
+                    stripped.push(tagName + '[' + attr.name + ']');
+                    node.removeAttribute(attr.name);
+                }
+            });
+            self.cleanChildren(node, stripped);
+        });
+    };
+
+    // Check an attribute against the allowlist, then make sure its value is safe
+    HtmlSanitizer.prototype.isAttributeAllowed = function(tagName, name, value) {
+        if (!this.enabled) {
+            return true;
+        }
+
+        name = name.toLowerCase();
+        var patterns = (this.allowedAttributes['*'] || []).concat(this.allowedAttributes[tagName.toLowerCase()] || []);
+        var listed = patterns.some(function(pattern) {
+            pattern = pattern.toLowerCase();
+            if (pattern.charAt(pattern.length - 1) === '*') {
+                return name.indexOf(pattern.slice(0, -1)) === 0;
+            }
+            return name === pattern;
+        });
+
+        return listed && this.isAttributeSafe(name, value);
+    };
+
+    // Check an attribute can never run script: no event handlers or srcdoc documents, no
+    // script in inline styles and only allowed schemes in URL attributes. Used on its own for
+    // setAttribute, which edits existing page elements rather than injecting new markup.
+    HtmlSanitizer.prototype.isAttributeSafe = function(name, value) {
+        if (!this.enabled) {
+            return true;
+        }
+
+        name = name.toLowerCase();
+        // Event handlers and srcdoc are never allowed, whatever the allowlist says
+        if (name.indexOf('on') === 0 || name === 'srcdoc') {
+            return false;
+        }
+        if (name === 'style') {
+            return !/expression\s*\(|javascript:|url\s*\(\s*['"]?\s*(?!https?:|data:image\/)[a-z]+:/i.test(value);
+        }
+        if (this.urlAttributes.indexOf(name) !== -1) {
+            return this.isUrlAllowed(value, name === 'srcset');
+        }
+        return true;
+    };
+
+    // Relative URLs are always fine; absolute ones must use an allowed scheme
+    HtmlSanitizer.prototype.isUrlAllowed = function(value, isSrcset) {
+        var self = this;
+        var urls = isSrcset ? String(value).split(',').map(function(candidate) {
+            return candidate.trim().split(/\s+/)[0];
+        }) : [value];
+
+        return urls.every(function(url) {
+            // Browsers ignore control characters and whitespace inside schemes
+            var compact = String(url).replace(/[\u0000- ]/g, '').toLowerCase();
+            var scheme = /^([a-z][a-z0-9+.\-]*):/.exec(compact);
+            return !scheme || self.allowedSchemes.indexOf(scheme[1]) !== -1;
+        });
+    };
+
+    // Serialize a value as JSON with object keys sorted at every level, so signer and verifier
+    // produce the same bytes regardless of key order
+    function canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(function(item) {
+                return item === undefined ? 'null' : canonicalJSON(item);
+            }).join(',') + ']';
+        }
+        if (value && typeof value === 'object') {
+            return '{' + Object.keys(value).sort().filter(function(key) {
+                return value[key] !== undefined;
+            }).map(function(key) {
+                return JSON.stringify(key) + ':' + canonicalJSON(value[key]);
+            }).join(',') + '}';
+        }
+        return JSON.stringify(value);
+    }
+
+    // Decode base64 or base64url into bytes
+    function decodeBase64(text) {
+        var normalized = text.replace(/-/g, '+').replace(/_/g, '/').replace(/\s+/g, '');
+        while (normalized.length % 4) {
+            normalized += '=';
+        }
+        var binary = atob(normalized);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // Signature Verifier Class
+    // Checks instruction signatures with WebCrypto. The signature (base64, in the instruction's
+    // signature field) covers the canonical JSON of the instruction without that field: an
+    // HMAC with a shared secret, or ECDSA with a public key (raw r||s signatures, as WebCrypto
+    // produces them).
+    function SignatureVerifier() {
+        this.enabled = false;
+        this.algorithm = 'HMAC'; // 'HMAC' or 'ECDSA'
+        this.hash = 'SHA-256';
+        this.namedCurve = 'P-256';
+        this.secret = null; // HMAC shared secret
+        this.publicKey = null; // ECDSA key: JWK object, base64/PEM SPKI string or CryptoKey
+        this.keyPromise = null;
+    }
+
+    // Turn verification on with { algorithm, secret | publicKey, hash, namedCurve }, or off
+    // with null or { enabled: false }
+    SignatureVerifier.prototype.configure = function(options) {
+        var self = this;
+        options = options || { enabled: false };
+        ['algorithm', 'hash', 'namedCurve', 'secret', 'publicKey'].forEach(function(key) {
+            if (options[key] !== undefined) {
+                self[key] = options[key];
+            }
+        });
+        this.algorithm = String(this.algorithm).toUpperCase();
+        this.enabled = options.enabled !== undefined ? !!options.enabled :
+            !!(this.algorithm === 'HMAC' ? this.secret : this.publicKey);
+        this.keyPromise = null;
+    };
+
+    // Import the configured key once
+    SignatureVerifier.prototype.getKey = function() {
+        var subtle = crypto.subtle;
+        if (this.keyPromise) {
+            return this.keyPromise;
+        }
+
+        if (this.algorithm === 'HMAC') {
+            this.keyPromise = subtle.importKey('raw', new TextEncoder().encode(this.secret),
+                { name: 'HMAC', hash: this.hash }, false, ['verify']);
+        } else if (this.algorithm === 'ECDSA') {
+            var params = { name: 'ECDSA', namedCurve: this.namedCurve };
+            var key = this.publicKey;
+            if (typeof key === 'string') {
+                var base64 = key.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '');
+                this.keyPromise = subtle.importKey('spki', decodeBase64(base64), params, false, ['verify']);
+            } else if (key && key.kty) {
+                params.namedCurve = key.crv || params.namedCurve;
+                this.keyPromise = subtle.importKey('jwk', key, params, false, ['verify']);
+            } else {
+                this.keyPromise = Promise.resolve(key);
+            }
+        } else {
+            this.keyPromise = Promise.reject(new Error('Unsupported algorithm ' + this.algorithm));
+        }
+
+        // Let a failed import be retried, e.g. after configure() fixes the key
+        var self = this;
+        var keyPromise = this.keyPromise;
+        keyPromise.catch(function() {
+            if (self.keyPromise === keyPromise) {
+                self.keyPromise = null;
+            }
+        });
+        return keyPromise;
+    };
+
+    // Resolve to null for a valid signature (or when verification is off), otherwise to a
+    // description of the problem
+    SignatureVerifier.prototype.verify = function(payload) {
+        if (!this.enabled) {
+            return Promise.resolve(null);
+        }
+        if (!payload || typeof payload.signature !== 'string' || !payload.signature) {
+            return Promise.resolve('Missing signature');
+        }
+        if (typeof crypto === 'undefined' || !crypto.subtle || typeof TextEncoder === 'undefined') {
+            return Promise.resolve('Signature verification is not available (WebCrypto needs a secure context)');
+        }
+
+        var signature;
+        try {
+            signature = decodeBase64(payload.signature);
+        } catch (error) {
+            return Promise.resolve('Malformed signature');
+        }
+
+        var unsigned = {};
+        Object.keys(payload).forEach(function(key) {
+            if (key !== 'signature') {
+                unsigned[key] = payload[key];
+            }
+        });
+        var data = new TextEncoder().encode(canonicalJSON(unsigned));
+        var algorithm = this.algorithm === 'HMAC' ? { name: 'HMAC' } : { name: 'ECDSA', hash: this.hash };
+
+        return this.getKey().then(function(key) {
+            return crypto.subtle.verify(algorithm, key, signature, data);
+        }).then(function(valid) {
+            return valid ? null : 'Invalid signature';
+        }, function(error) {
+            logger.error('❌ Signature verification failed:', error);
+            return 'Signature verification failed: ' + (error && error.message ? error.message : error);
+        });
+    };
+
+    // Add a query parameter to a URL
+    function appendQueryParam(url, name, value) {
+        var hashIndex = url.indexOf('#');
+        var hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+        var base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+        return base + (base.indexOf('?') === -1 ? '?' : '&') + encodeURIComponent(name) + '=' + encodeURIComponent(value) + hash;
+    }
+
+    // localStorage key for the browser's client id
+    var CLIENT_ID_STORAGE_KEY = 'element-tracker:client-id';
+
+    // A random id, from crypto.randomUUID where available
+    function randomId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return 'et-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    // A random id for this browser, kept in localStorage so the dashboard can recognise
+    // returning clients. Falls back to a fresh id per page load when storage is unavailable.
+    function loadClientId() {
+        var id = null;
+        try {
+            id = window.localStorage.getItem(CLIENT_ID_STORAGE_KEY);
+        } catch (error) {
+            // Storage may be disabled
+        }
+        if (id) {
+            return id;
+        }
+
+        id = randomId();
+        try {
+            window.localStorage.setItem(CLIENT_ID_STORAGE_KEY, id);
+        } catch (error) {
+            // Keep the id for this page only
+        }
+        return id;
+    }
+
+    // Whether a value matches a type spec such as 'string', 'string|number' or 'object?'
+    // (a trailing '?' also allows undefined and null)
+    function matchesType(value, spec) {
+        var optional = spec.charAt(spec.length - 1) === '?';
+        if (value === undefined || value === null) {
+            return optional;
+        }
+        return spec.replace(/\?$/, '').split('|').some(function(type) {
+            if (type === 'array') {
+                return Array.isArray(value);
+            }
+            if (type === 'object') {
+                return typeof value === 'object' && !Array.isArray(value);
+            }
+            return typeof value === type;
+        });
+    }
+
+    // Schemas for messages received from the admin dashboard, keyed by type. data is the type
+    // spec of message.data, fields the specs of its properties (others are allowed), and the
+    // optional validate(data) returns a problem description for checks specs cannot express.
+    var messageSchemas = {
+        ping: {},
+        pong: {},
+        error: {
+            data: 'object?',
+            fields: { code: 'string?', message: 'string?' }
+        },
+        'element-clicked': {
+            data: 'object?'
+        },
+        'inject-instruction': {
+            data: 'object',
+            fields: {
+                id: 'string|number?',
+                action: 'string',
+                selector: 'string?',
+                content: 'string?',
+                attribute: 'string?',
+                value: 'string|number|boolean?',
+                className: 'string?',
+                styles: 'object?',
+                timeout: 'number?',
+                fallbackSelectors: 'array?',
+                fingerprint: 'object?',
+                persist: 'boolean?',
+                publish: 'boolean?',
+                targeting: 'object?',
+                startAt: 'string|number?',
+                endAt: 'string|number?',
+                signature: 'string?'
+            },
+            validate: function(data) {
+                return data.fingerprint ? validateFingerprint(data.fingerprint) : null;
+            }
+        },
+        'inject-batch': {
+            data: 'object',
+            fields: {
+                id: 'string|number?',
+                instructions: 'array',
+                publish: 'boolean?',
+                targeting: 'object?',
+                signature: 'string?'
+            },
+            validate: function(data) {
+                if (!data.instructions.length) {
+                    return 'instructions must not be empty';
+                }
+                for (var i = 0; i < data.instructions.length; i++) {
+                    var problem = validateMessage({ type: 'inject-instruction', data: data.instructions[i] });
+                    if (problem) {
+                        return 'step ' + (i + 1) + ': ' + problem.replace(/^Invalid inject-instruction message: /, '');
+                    }
+                }
+                return null;
+            }
+        },
+        'sync-instructions': {
+            data: 'object',
+            fields: { version: 'string|number?', instructions: 'array?', notModified: 'boolean?', signature: 'string?' },
+            validate: function(data) {
+                return data.notModified || data.instructions ? null : 'expected instructions or notModified';
+            }
+        },
+        'revert-instruction': {
+            data: 'object',
+            fields: { id: 'string|number?', selector: 'string?', all: 'boolean?', signature: 'string?' },
+            validate: function(data) {
+                var hasId = data.id !== undefined && data.id !== null;
+                return hasId || data.selector || data.all ? null : 'expected id, selector or all';
+            }
+        },
+        'highlight-element': {
+            data: 'object',
+            fields: {
+                selector: 'string?',
+                color: 'string?',
+                duration: 'number?',
+                label: 'boolean|string?',
+                clear: 'boolean?',
+                signature: 'string?'
+            },
+            validate: function(data) {
+                return data.selector || data.clear ? null : 'expected selector or clear';
+            }
+        }
+    };
+
+    // Check the parts of a fingerprint: { tagName, text, attributes }, attribute values being
+    // strings, numbers or booleans. Returns a problem description or null.
+    function validateFingerprint(fingerprint) {
+        var fields = { tagName: 'string?', text: 'string|number?', attributes: 'object?' };
+        var badField = Object.keys(fields).filter(function(field) {
+            return !matchesType(fingerprint[field], fields[field]);
+        })[0];
+        if (badField) {
+            return 'fingerprint.' + badField + ' must be ' + describeType(fields[badField]);
+        }
+        var attributes = fingerprint.attributes || {};
+        var badAttribute = Object.keys(attributes).filter(function(name) {
+            return !matchesType(attributes[name], 'string|number|boolean');
+        })[0];
+        return badAttribute !== undefined ?
+            'fingerprint.attributes.' + badAttribute + ' must be ' + describeType('string|number|boolean') : null;
+    }
+
+    // Describe a type spec for error messages: 'string|number?' becomes 'a string or a number'
+    function describeType(spec) {
+        return spec.replace(/\?$/, '').split('|').map(function(type) {
+            return (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+        }).join(' or ');
+    }
+
+    // Check an inbound message against its schema. Returns a problem description or null.
+    function validateMessage(message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return 'Message must be a JSON object';
+        }
+        if (typeof message.type !== 'string' || !message.type) {
+            return 'Message is missing a type';
+        }
+
+        var schema = messageSchemas[message.type];
+        if (!schema) {
+            return 'Unsupported message type: ' + message.type;
+        }
+        if (schema.data && !matchesType(message.data, schema.data)) {
+            return 'Invalid ' + message.type + ' message: data must be ' + describeType(schema.data);
+        }
+
+        var data = message.data || {};
+        var fields = schema.fields || {};
+        var badField = Object.keys(fields).filter(function(field) {
+            return !matchesType(data[field], fields[field]);
+        })[0];
+        if (badField) {
+            return 'Invalid ' + message.type + ' message: ' + badField + ' must be ' + describeType(fields[badField]);
+        }
+
+        var problem = schema.validate && message.data ? schema.validate(message.data) : null;
+        return problem ? 'Invalid ' + message.type + ' message: ' + problem : null;
+    }
+
+    // The id a batch step is applied under: its own id, or '<batch id>:<index>'
+    function getBatchStepId(batch, index) {
+        var step = batch.instructions[index] || {};
+        return step.id !== undefined && step.id !== null ? step.id : batch.id + ':' + index;
+    }
+
+    var INSTRUCTION_CACHE_PREFIX = 'element-tracker:instructions:';
+
+    // Instruction Cache Class
+    // Keeps published instructions and batches in localStorage, keyed by page path, so they
+    // can be re-applied on the next page load before the dashboard is reachable. Each path
+    // stores { version, payloads }; version is the server's version of that set and is
+    // cleared whenever the cache is changed locally.
+    function InstructionCache() {
+        this.enabled = true;
+        this.maxEntries = 100; // Per path; the oldest are dropped first
+        this.namespace = null; // Instance name keeping other tracker instances' entries apart
+    }
+
+    InstructionCache.prototype.getPath = function() {
+        return window.location.pathname;
+    };
+
+    // Storage key for a path. Paths start with '/', so the default instance's keys never
+    // collide with a namespace.
+    InstructionCache.prototype.getKey = function(path) {
+        return INSTRUCTION_CACHE_PREFIX + (this.namespace ? this.namespace + ':' : '') + (path || this.getPath());
+    };
+
+    // Read the cached set for a path (the current page by default)
+    InstructionCache.prototype.read = function(path) {
+        var empty = { version: null, payloads: [] };
+        if (!this.enabled) {
+            return empty;
+        }
+        try {
+            var stored = window.localStorage.getItem(this.getKey(path));
+            var data = stored ? JSON.parse(stored) : null;
+            return data && Array.isArray(data.payloads) ? data : empty;
+        } catch (error) {
+            logger.warn('⚠️ Could not read cached instructions:', error);
+            return empty;
+        }
+    };
+
+    InstructionCache.prototype.write = function(data, path) {
+        if (!this.enabled) {
+            return;
+        }
+        var key = this.getKey(path);
+        try {
+            if (data.payloads.length || data.version !== null) {
+                window.localStorage.setItem(key, JSON.stringify(data));
+            } else {
+                window.localStorage.removeItem(key);
+            }
+        } catch (error) {
+            logger.warn('⚠️ Could not cache instructions:', error);
+        }
+    };
+
+    // Add or replace a published instruction or batch
+    InstructionCache.prototype.save = function(payload) {
+        var data = this.read();
+        data.payloads = data.payloads.filter(function(cached) {
+            return cached.id !== payload.id;
+        });
+        data.payloads.push(payload);
+        data.payloads = data.payloads.slice(-this.maxEntries);
+        data.version = null;
+        this.write(data);
+    };
+
+    // Drop the instruction, or the batch containing the step, applied under an id
+    InstructionCache.prototype.forget = function(id) {
+        var data = this.read();
+        var remaining = data.payloads.filter(function(payload) {
+            if (payload.id === id) {
+                return false;
+            }
+            return !Array.isArray(payload.instructions) || !payload.instructions.some(function(step, index) {
+                return getBatchStepId(payload, index) === id;
+            });
+        });
+        if (remaining.length !== data.payloads.length) {
+            data.payloads = remaining;
+            data.version = null;
+            this.write(data);
+        }
+    };
+
+    // Replace the cached set for the current page with the server's
+    InstructionCache.prototype.replace = function(payloads, version) {
+        this.write({ version: version !== undefined ? version : null, payloads: payloads.slice(-this.maxEntries) });
+    };
+
+    // Remove this instance's cached instructions for every path
+    InstructionCache.prototype.clear = function() {
+        var prefix = INSTRUCTION_CACHE_PREFIX + (this.namespace ? this.namespace + ':/' : '/');
+        try {
+            var keys = [];
+            for (var i = 0; i < window.localStorage.length; i++) {
+                var key = window.localStorage.key(i);
+                if (key && key.indexOf(prefix) === 0) {
+                    keys.push(key);
+                }
+            }
+            keys.forEach(function(key) {
+                window.localStorage.removeItem(key);
+            });
+        } catch (error) {
+            // Storage may be disabled
+        }
+    };
+
+    // sessionStorage key for the persisted outbound queue
+    var QUEUE_STORAGE_KEY = 'element-tracker:outbound-queue';
+
+    // Call a transport's on<name> callback, if set
+    function emitTransportEvent(transport, name, event) {
+        var callback = transport['on' + name];
+        if (typeof callback === 'function') {
+            callback(event);
+        }
+    }
+
+    // Append a path segment to a base URL
+    function joinUrl(base, path) {
+        return base.replace(/\/+$/, '') + '/' + path;
+    }
+
+    // Transports carry messages between the page and the admin dashboard. Each is created
+    // with (url, options) and has open(), send(data), close(code, reason) and isOpen(). It
+    // reports onopen(), onmessage({ data }), onerror(error) and onclose({ code, reason, unsent }),
+    // where unsent lists messages it accepted but could not deliver. heartbeat: false opts out
+    // of the ping/pong heartbeat. handshake: false means opening does not reach the server; such
+    // a transport reports ondelivered() once the server accepts something, and only that counts
+    // as a successful connection for the reconnect backoff.
+
+    // WebSocket Transport Class
+    function WebSocketTransport(url, options) {
+        options = options || {};
+        this.url = url.replace(/^http/, 'ws');
+        if (options.token) {
+            this.url = appendQueryParam(this.url, 'token', options.token);
+        }
+        this.socket = null;
+        this.heartbeat = true;
+    }
+
+    WebSocketTransport.prototype.open = function() {
+        var self = this;
+        var socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.onopen = function() {
+            emitTransportEvent(self, 'open');
+        };
+        socket.onclose = function(event) {
+            emitTransportEvent(self, 'close', event);
+        };
+        socket.onerror = function(error) {
+            emitTransportEvent(self, 'error', error);
+        };
+        socket.onmessage = function(event) {
+            emitTransportEvent(self, 'message', event);
+        };
+    };
+
+    WebSocketTransport.prototype.isOpen = function() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    };
+
+    WebSocketTransport.prototype.send = function(data) {
+        this.socket.send(data);
+    };
+
+    WebSocketTransport.prototype.close = function(code, reason) {
+        if (this.socket) {
+            this.socket.close(code, reason);
+        }
+    };
+
+    // HTTP Transport Class
+    // Batches outgoing messages into POST requests ({ messages: [...] }) to <url>/messages.
+    // Messages in the response body (an array or { messages }) are delivered as incoming ones.
+    // Whatever is still waiting when the page is hidden goes out with navigator.sendBeacon.
+    function HttpTransport(url, options) {
+        options = options || {};
+        this.url = options.postUrl || joinUrl(url.replace(/^ws/, 'http'), 'messages');
+        this.batchInterval = options.batchInterval !== undefined ? options.batchInterval : 1000;
+        this.maxBatchSize = options.maxBatchSize || 50;
+        this.withCredentials = !!options.withCredentials;
+        this.token = options.token || null;
+        this.heartbeat = false; // There is no long-lived connection to check
+        this.handshake = false; // Opening is local; the first accepted request proves the server is there
+        this.buffer = []; // Serialized messages waiting for the next batch
+        this.batchTimer = null;
+        this.opened = false;
+        this.pageHideHandler = null;
+    }
+
+    HttpTransport.prototype.open = function() {
+        var self = this;
+        this.opened = true;
+
+        if (typeof window !== 'undefined') {
+            this.pageHideHandler = function() {
+                self.flush(true);
+            };
+            window.addEventListener('pagehide', this.pageHideHandler);
+        }
+
+        // Report open asynchronously, like a socket would
+        setTimeout(function() {
+            if (self.opened) {
+                emitTransportEvent(self, 'open');
+            }
+        }, 0);
+    };
+
+    HttpTransport.prototype.isOpen = function() {
+        return this.opened;
+    };
+
+    HttpTransport.prototype.send = function(data) {
+        var self = this;
+        this.buffer.push(data);
+        if (this.buffer.length >= this.maxBatchSize || !(this.batchInterval > 0)) {
+            this.flush(false);
+        } else if (!this.batchTimer) {
+            this.batchTimer = setTimeout(function() {
+                self.batchTimer = null;
+                self.flush(false);
+            }, this.batchInterval);
+        }
+    };
+
+    // Send everything buffered in one request. useBeacon is for page unload, when a normal
+    // request may be cancelled.
+    HttpTransport.prototype.flush = function(useBeacon) {
+        var self = this;
+        if (this.batchTimer) {
+            clearTimeout(this.batchTimer);
+            this.batchTimer = null;
+        }
+        if (!this.buffer.length) {
+            return;
+        }
+
+        var batch = this.buffer;
+        this.buffer = [];
+        var body = '{"messages":[' + batch.join(',') + ']}';
+
+        if (useBeacon && typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+            try {
+                var beaconUrl = this.token ? appendQueryParam(this.url, 'token', this.token) : this.url;
+                if (navigator.sendBeacon(beaconUrl, new Blob([body], { type: 'application/json' }))) {
+                    return;
+                }
+            } catch (error) {
+                // Fall back to a keepalive request below
+            }
+        }
+
+        if (typeof fetch !== 'function') {
+            this.fail(batch, new Error('fetch is not available'));
+            return;
+        }
+
+        var headers = { 'Content-Type': 'application/json' };
+        if (this.token) {
+            headers.Authorization = 'Bearer ' + this.token;
+        }
+
+        fetch(this.url, {
+            method: 'POST',
+            headers: headers,
+            body: body,
+            credentials: this.withCredentials ? 'include' : 'same-origin',
+            keepalive: body.length < 60000 // Browsers cap keepalive bodies at 64KB
+        }).then(function(response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            if (self.opened) {
+                emitTransportEvent(self, 'delivered');
+            }
+            return response.text();
+        }).then(function(text) {
+            self.deliverResponse(text);
+        }).catch(function(error) {
+            self.fail(batch, error);
+        });
+    };
+
+    // Hand messages returned in a response body to onmessage
+    HttpTransport.prototype.deliverResponse = function(text) {
+        var self = this;
+        if (!text || !this.opened) {
+            return;
+        }
+        var parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            logger.warn('Received non-JSON response:', text);
+            return;
+        }
+        var messages = Array.isArray(parsed) ? parsed : (parsed && parsed.messages) || [];
+        messages.forEach(function(message) {
+            emitTransportEvent(self, 'message', { data: JSON.stringify(message) });
+        });
+    };
+
+    // A request failed: report the batch as unsent and close, so the service reconnects
+    HttpTransport.prototype.fail = function(batch, error) {
+        if (!this.opened) {
+            return;
+        }
+        var unsent = batch.concat(this.buffer).map(function(data) {
+            return JSON.parse(data);
+        });
+        this.buffer = [];
+        this.stop();
+        emitTransportEvent(this, 'error', error);
+        emitTransportEvent(this, 'close', { code: 1006, reason: 'HTTP request failed: ' + error.message, unsent: unsent });
+    };
+
+    HttpTransport.prototype.close = function(code, reason) {
+        var self = this;
+        if (!this.opened) {
+            return;
+        }
+        this.flush(true);
+        this.stop();
+        setTimeout(function() {
+            emitTransportEvent(self, 'close', { code: code, reason: reason });
+        }, 0);
+    };
+
+    HttpTransport.prototype.stop = function() {
+        this.opened = false;
+        if (this.batchTimer) {
+            clearTimeout(this.batchTimer);
+            this.batchTimer = null;
+        }
+        if (this.pageHideHandler) {
+            window.removeEventListener('pagehide', this.pageHideHandler);
+            this.pageHideHandler = null;
+        }
+    };
+
+    // SSE Transport Class
+    // Receives messages as Server-Sent Events from <url>/stream and sends through an
+    // HttpTransport, for networks that block WebSocket upgrades
+    function SseTransport(url, options) {
+        options = options || {};
+        var httpUrl = url.replace(/^ws/, 'http');
+        this.streamUrl = options.streamUrl || joinUrl(httpUrl, 'stream');
+        if (options.token) {
+            this.streamUrl = appendQueryParam(this.streamUrl, 'token', options.token);
+        }
+        this.withCredentials = !!options.withCredentials;
+        this.heartbeat = false; // EventSource reconnects the stream by itself
+        this.source = null;
+        this.opened = false;
+        this.closed = false;
+
+        var self = this;
+        this.poster = new HttpTransport(url, options);
+        this.poster.onmessage = function(event) {
+            emitTransportEvent(self, 'message', event);
+        };
+        this.poster.onclose = function(event) {
+            if (!self.closed) {
+                self.shutDown();
+                emitTransportEvent(self, 'close', event);
+            }
+        };
+    }
+
+    SseTransport.prototype.open = function() {
+        var self = this;
+        if (typeof EventSource === 'undefined') {
+            setTimeout(function() {
+                emitTransportEvent(self, 'error', new Error('EventSource is not available'));
+                emitTransportEvent(self, 'close', { code: 1006, reason: 'EventSource is not available' });
+            }, 0);
+            return;
+        }
+
+        var source = new EventSource(this.streamUrl, { withCredentials: this.withCredentials });
+        this.source = source;
+
+        source.onopen = function() {
+            if (!self.opened) {
+                self.opened = true;
+                self.poster.open();
+                emitTransportEvent(self, 'open');
+            }
+        };
+        source.onmessage = function(event) {
+            emitTransportEvent(self, 'message', event);
+        };
+        source.onerror = function(error) {
+            // EventSource retries on its own unless it gave up (readyState CLOSED)
+            if (source.readyState !== 2 || self.closed) {
+                return;
+            }
+            self.shutDown();
+            emitTransportEvent(self, 'error', error);
+            emitTransportEvent(self, 'close', { code: 1006, reason: 'Event stream closed' });
+        };
+    };
+
+    SseTransport.prototype.isOpen = function() {
+        return this.opened && this.poster.isOpen();
+    };
+
+    SseTransport.prototype.send = function(data) {
+        this.poster.send(data);
+    };
+
+    SseTransport.prototype.close = function(code, reason) {
+        var self = this;
+        if (this.closed) {
+            return;
+        }
+        this.shutDown();
+        setTimeout(function() {
+            emitTransportEvent(self, 'close', { code: code, reason: reason });
+        }, 0);
+    };
+
+    SseTransport.prototype.shutDown = function() {
+        this.closed = true;
+        this.opened = false;
+        if (this.source) {
+            this.source.close();
+        }
+        this.poster.close(1000, 'Transport closed');
+    };
+
+    // Transports selectable with connect(url, { transport }) or data-transport on the script tag
+    var transports = {
+        websocket: WebSocketTransport,
+        http: HttpTransport,
+        sse: SseTransport
+    };
+
+
+    // WebSocket Service Class
+    function WebSocketService() {
+        this.transport = null; // The open (or opening) transport instance
+        this.transportName = 'websocket'; // Key in transports
+        this.transportOptions = {}; // Passed to the transport: { batchInterval, maxBatchSize, postUrl, streamUrl, withCredentials }
+        this.isConnected = false;
+        this.connectionAttempts = 0;
+        this.maxConnectionAttempts = 3; // Infinity retries forever
+        this.isConnecting = false;
+        this.reconnectTimer = null;
+        this.reconnectDelay = 1000; // First retry delay, doubled (reconnectMultiplier) on each attempt
+        this.maxReconnectDelay = 30000;
+        this.reconnectMultiplier = 2;
+        this.reconnectJitter = 0.3; // Randomise delays by +/- 30%
+        this.shouldReconnect = false; // Cleared by disconnect()
+        this.isWatchingNetwork = false;
+        this.networkListeners = []; // { target, type, listener } added by watchNetworkState
+        this.adminDashboardUrl = null;
+        this.heartbeatInterval = 0; // Off until configured: servers that don't answer pings would be dropped
+        this.heartbeatTimeout = 10000;
+        this.heartbeatTimer = null;
+        this.heartbeatTimeoutTimer = null;
+        this.onElementClickCallbacks = [];
+        this.onInstructionCallbacks = [];
+        this.highlightLayer = null; // Set when linked with the element tracker
+        this.injectedContents = new Map();
+        this.injectionSequence = 0; // Order in which injections were applied, used when reverting
+        this.sanitizer = new HtmlSanitizer();
+        this.outboundQueue = []; // Messages waiting for the connection to open
+        this.maxQueueSize = 200;
+        this.droppedMessageCount = 0;
+        this.persistQueue = false; // Mirror the queue into sessionStorage
+        this.persistInjections = false; // Re-apply injections when the page re-renders their targets
+        this.persistenceObserver = null;
+        this.persistenceCheckTimer = null;
+        this.routeChangeListener = null; // Registered with onRouteChange once persistence is needed
+        this.pendingWaits = new Set(); // Cancel functions for targets and page loads still awaited
+        this.reapplyHistory = {};
+        this.maxReapplies = 5; // Re-applies allowed per injection within reapplyWindow
+        this.reapplyWindow = 10000;
+        this.scheduledInstructions = new Map(); // Instructions waiting for their startAt, keyed by id
+        this.instructionCache = new InstructionCache(); // Published instructions kept across page loads
+        this.restoredInstructions = []; // Payloads re-applied from the cache at startup
+        this.restoring = Promise.resolve(); // Settles once they have been re-applied
+        this.hasRestored = false; // The cache is re-applied at most once per page load
+        this.cacheWaitTimeout = 10000; // How long cached instructions wait for their targets while the page loads
+        this.defaultWaitTimeout = 0; // How long instructions wait for missing targets unless they set timeout
+        this.isDynaDubbing = false; // Preview mode: drafts (publish !== true) only apply while on
+        this.clientId = typeof window !== 'undefined' ? loadClientId() : null; // Sent in the hello handshake
+        this.authToken = null; // Sent when connecting, see configureAuth
+        this.tokenProvider = null;
+        this.signatureVerifier = new SignatureVerifier();
+        this.root = null; // Element instructions are confined to; null for the whole page
+        this.namespace = null; // Instance name keeping other tracker instances' stored queue apart
+        this.outgoingMessageCallbacks = []; // Told about every message sent (or queued) for the server
+    }
+
+    // The raw WebSocket, kept for code written before transports existed; null with other transports
+    Object.defineProperty(WebSocketService.prototype, 'socket', {
+        get: function() {
+            return this.transport instanceof WebSocketTransport ? this.transport.socket : null;
+        }
+    });
+
+    // Connect to the admin dashboard. Options authenticate, pick the transport and tune it,
+    // reconnection and the heartbeat: { token, tokenProvider, transport, batchInterval, maxBatchSize,
+    // postUrl, streamUrl, withCredentials, maxAttempts, initialDelay, maxDelay, multiplier, jitter,
+    // heartbeatInterval, heartbeatTimeout }
+    WebSocketService.prototype.connect = function(adminDashboardUrl, options) {
+        adminDashboardUrl = adminDashboardUrl || this.adminDashboardUrl || 'http://localhost:5203/';
+        var self = this;
+
+        if (options) {
+            this.configureReconnect(options);
+            this.configureTransport(options);
+            this.configureAuth(options);
+        }
+        this.adminDashboardUrl = adminDashboardUrl;
+        this.shouldReconnect = true;
+        this.watchNetworkState();
+
+        // Don't attempt to connect if already connecting or max attempts reached
+        if (this.isConnecting) {
+            logger.warn('Connection attempt already in progress');
+            return;
+        }
+
+        if (this.connectionAttempts >= this.maxConnectionAttempts) {
+            logger.error('Maximum connection attempts (' + this.maxConnectionAttempts + ') reached. Please try again later.');
+            return;
+        }
+
+        var Transport = transports[this.transportName];
+        if (!Transport) {
+            logger.error('❌ Unknown transport: ' + this.transportName);
+            return;
+        }
+
+        this.isConnecting = true;
+        this.connectionAttempts++;
+        logger.debug('Connection attempt ' + this.connectionAttempts + '/' + this.maxConnectionAttempts + ' (' + this.transportName + ')');
+
+        if (!this.tokenProvider) {
+            this.openTransport(Transport, adminDashboardUrl, this.authToken);
+            return;
+        }
+
+        // Ask for a fresh token on every attempt, so expired tokens are replaced on reconnect
+        new Promise(function(resolve) {
+            resolve(self.tokenProvider());
+        }).then(function(token) {
+            // disconnect() may have been called while waiting
+            if (self.isConnecting && self.shouldReconnect) {
+                self.openTransport(Transport, adminDashboardUrl, token);
+            }
+        }, function(error) {
+            logger.error('❌ Token provider failed:', error);
+            self.isConnecting = false;
+            self.scheduleReconnect();
+        });
+    };
+
+    // Create and open a transport, wiring its events to the service
+    WebSocketService.prototype.openTransport = function(Transport, adminDashboardUrl, token) {
+        var self = this;
+        var options = {};
+        Object.keys(this.transportOptions).forEach(function(key) {
+            options[key] = self.transportOptions[key];
+        });
+        options.token = token || null;
+
+        try {
+            var transport = new Transport(adminDashboardUrl, options);
+            this.transport = transport;
+
+            transport.onopen = function() {
+                logger.info('Connected to admin dashboard');
+                self.isConnected = true;
+                self.isConnecting = false;
+                // Reset connection attempts on successful connection; without a handshake that
+                // waits for the server to accept a request (ondelivered)
+                if (transport.handshake !== false) {
+                    self.connectionAttempts = 0;
+                }
+                self.startHeartbeat();
+                // Introduce ourselves before anything else goes out
+                self.sendHello();
+                // Deliver everything buffered while we were offline
+                self.flushQueue();
+            };
+
+            transport.ondelivered = function() {
+                if (transport === self.transport) {
+                    self.connectionAttempts = 0;
+                }
+            };
+
+            transport.onclose = function(event) {
+                self.handleClose(transport, event);
+            };
+
+            transport.onerror = function(error) {
+                if (transport !== self.transport) {
+                    return;
+                }
+                logger.error('Connection error:', error);
+                self.isConnected = false;
+                // The onclose handler will be called after this, which will handle reconnection
+            };
+
+            transport.onmessage = function(event) {
+                // Any message proves the connection is alive
+                self.clearHeartbeatTimeout();
+                self.receiveMessage(event.data);
+            };
+
+            transport.open();
+        } catch (error) {
+            logger.error('Failed to connect to admin dashboard:', error);
+            this.isConnecting = false;
+            this.scheduleReconnect();
+        }
+    };
+
+    // Parse, validate and handle a raw message from the server. Parse errors, schema violations
+    // and errors thrown while handling are told apart, logged and reported back in an error message.
+    WebSocketService.prototype.receiveMessage = function(raw) {
+        var self = this;
+        var message;
+        try {
+            message = JSON.parse(raw);
+        } catch (parseError) {
+            logger.warn('Received non-JSON message:', raw);
+            this.sendError('parse-error', 'Message is not valid JSON: ' + parseError.message);
+            return;
+        }
+
+        var problem = validateMessage(message);
+        if (problem) {
+            logger.warn('⚠️ Rejected message: ' + problem);
+            this.sendError('invalid-message', problem, message);
+            return;
+        }
+
+        var reportHandlerError = function(handlerError) {
+            logger.error('❌ Error handling ' + message.type + ' message:', handlerError);
+            self.sendError('handler-error', handlerError && handlerError.message ? handlerError.message : String(handlerError), message);
+        };
+
+        try {
+            var outcome = this.handleMessage(message);
+            if (outcome && typeof outcome.then === 'function') {
+                outcome.then(null, reportHandlerError);
+            }
+        } catch (handlerError) {
+            reportHandlerError(handlerError);
+        }
+    };
+
+    // Act on a validated message. May return a promise for asynchronous work.
+    WebSocketService.prototype.handleMessage = function(message) {
+        var self = this;
+        if (message.type === 'ping') {
+            this.sendNow({ type: 'pong', timestamp: new Date().toISOString() });
+        } else if (message.type === 'pong') {
+            // Heartbeat reply, nothing else to do
+        } else if (message.type === 'error') {
+            logger.warn('⚠️ Admin dashboard reported an error:', message.data);
+        } else if (message.type === 'element-clicked') {
+            this.onElementClickCallbacks.forEach(function(cb) {
+                cb(message);
+            });
+        } else if (message.type === 'inject-instruction') {
+            // Handle instruction from admin dashboard
+            var instruction = message.data;
+            logger.debug('Received instruction:', instruction);
+
+            // Apply it, report the result back and notify callbacks
+            return this.processInstruction(instruction);
+        } else if (message.type === 'inject-batch') {
+            // Several instructions applied all or nothing, with one result
+            logger.debug('Received batch:', message.data);
+            return this.processBatch(message.data);
+        } else if (message.type === 'sync-instructions') {
+            // The server's current set for this page, to reconcile the cache with. It can revert
+            // and replace cached changes, so it is signed as a whole when signatures are on.
+            return this.verifyInstruction(message.data).then(function(problem) {
+                if (problem) {
+                    logger.warn('🔒 Rejected ' + message.type + ': ' + problem);
+                    self.sendError('rejected', problem, message);
+                    return null;
+                }
+                return self.reconcileInstructions(message.data);
+            });
+        } else if (message.type === 'highlight-element' || message.type === 'revert-instruction') {
+            // Point something out on the page ({ selector, color, duration, label } or { clear: true }),
+            // or roll back one, several or all injections. Signed like instructions when signatures are on.
+            return this.verifyInstruction(message.data).then(function(problem) {
+                if (problem) {
+                    logger.warn('🔒 Rejected ' + message.type + ': ' + problem);
+                    self.sendError('rejected', problem, message);
+                } else if (message.type === 'highlight-element') {
+                    self.handleHighlightMessage(message.data);
+                } else {
+                    self.handleRevertInstruction(message.data);
+                }
+            });
+        }
+    };
+
+    // Introduce this client to the admin dashboard when a connection opens
+    WebSocketService.prototype.sendHello = function() {
+        this.sendNow({
+            type: 'hello',
+            data: {
+                protocolVersion: PROTOCOL_VERSION,
+                version: VERSION,
+                url: typeof window !== 'undefined' ? window.location.href : null,
+                userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+                clientId: this.clientId,
+                // Lets the server answer sync-instructions with notModified when the cache is current
+                path: typeof window !== 'undefined' ? window.location.pathname : null,
+                cachedVersion: this.instructionCache.read().version
+            },
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Tell the server a message it sent could not be handled. code is 'parse-error',
+    // 'invalid-message' or 'handler-error'; the offending message's type and id are echoed.
+    WebSocketService.prototype.sendError = function(code, description, original) {
+        var data = original && original.data && typeof original.data === 'object' ? original.data : {};
+        this.sendMessage('error', {
+            code: code,
+            message: description,
+            messageType: original ? original.type : null,
+            id: data.id !== undefined ? data.id : null
+        });
+    };
+
+    // Change reconnection and heartbeat settings. maxAttempts of Infinity (or 0) retries forever;
+    // jitter is the +/- fraction applied to each delay; heartbeatInterval (ms) turns pings on, 0 off.
+    WebSocketService.prototype.configureReconnect = function(options) {
+        options = options || {};
+        if (options.maxAttempts !== undefined) {
+            this.maxConnectionAttempts = options.maxAttempts > 0 ? options.maxAttempts : Infinity;
+        }
+        if (options.initialDelay !== undefined) {
+            this.reconnectDelay = options.initialDelay;
+        }
+        if (options.maxDelay !== undefined) {
+            this.maxReconnectDelay = options.maxDelay;
+        }
+        if (options.multiplier !== undefined) {
+            this.reconnectMultiplier = options.multiplier;
+        }
+        if (options.jitter !== undefined) {
+            this.reconnectJitter = Math.min(Math.max(options.jitter, 0), 1);
+        }
+        if (options.heartbeatInterval !== undefined) {
+            this.heartbeatInterval = options.heartbeatInterval;
+        }
+        if (options.heartbeatTimeout !== undefined) {
+            this.heartbeatTimeout = options.heartbeatTimeout;
+        }
+    };
+
+    // Pick the transport used by the next connect: { transport: 'websocket' | 'http' | 'sse', ... }.
+    // The other options are handed to the transport.
+    WebSocketService.prototype.configureTransport = function(options) {
+        var self = this;
+        options = options || {};
+        if (options.transport !== undefined) {
+            if (!transports[options.transport]) {
+                logger.warn('⚠️ Unknown transport: ' + options.transport + ', keeping ' + this.transportName);
+            } else {
+                this.transportName = options.transport;
+            }
+        }
+        ['batchInterval', 'maxBatchSize', 'postUrl', 'streamUrl', 'withCredentials'].forEach(function(key) {
+            if (options[key] !== undefined) {
+                self.transportOptions[key] = options[key];
+            }
+        });
+    };
+
+    // Set the credentials sent when connecting: { token } or { tokenProvider }, a function
+    // returning a token (or a promise for one) that is called before every connection attempt.
+    // Transports send the token as a Bearer header where they can and a token query parameter
+    // where they cannot (WebSocket, EventSource, sendBeacon).
+    WebSocketService.prototype.configureAuth = function(options) {
+        options = options || {};
+        if (options.token !== undefined) {
+            this.authToken = options.token;
+        }
+        if (options.tokenProvider !== undefined) {
+            this.tokenProvider = typeof options.tokenProvider === 'function' ? options.tokenProvider : null;
+        }
+    };
+
+    // Check that signatures are configured and, if so, that an instruction carries a valid one.
+    // Returns a promise for a problem description, or null when the instruction may be applied.
+    WebSocketService.prototype.verifyInstruction = function(instruction) {
+        return this.signatureVerifier.verify(instruction);
+    };
+
+    // Handle the transport closing, whether reported by the browser or detected by the heartbeat
+    WebSocketService.prototype.handleClose = function(transport, event) {
+        // Ignore late events from a transport we already gave up on
+        if (transport !== this.transport) {
+            return;
+        }
+
+        logger.info('Disconnected from admin dashboard: Code ' + event.code + ' - ' + event.reason);
+        this.isConnected = false;
+        this.isConnecting = false;
+        this.stopHeartbeat();
+
+        // Messages the transport accepted but could not deliver go back to the front of the queue
+        if (event.unsent && event.unsent.length) {
+            this.outboundQueue = event.unsent.concat(this.outboundQueue);
+            while (this.outboundQueue.length > this.maxQueueSize) {
+                this.outboundQueue.shift();
+                this.droppedMessageCount++;
+            }
+            this.saveQueue();
+        }
+
+        // If not a normal closure, try to reconnect
+        if (event.code !== 1000) {
+            this.scheduleReconnect();
+        }
+    };
+
+    // Delay before the next attempt: exponential backoff capped at maxReconnectDelay, with jitter
+    // so clients disconnected together by a dashboard restart do not all return at once
+    WebSocketService.prototype.getReconnectDelay = function() {
+        var exponent = Math.max(this.connectionAttempts - 1, 0);
+        var delay = Math.min(this.reconnectDelay * Math.pow(this.reconnectMultiplier, exponent), this.maxReconnectDelay);
+        var spread = delay * this.reconnectJitter;
+        return Math.round(delay - spread + Math.random() * spread * 2);
+    };
+
+    // Retry the connection after a backoff delay, unless attempts are used up
+    WebSocketService.prototype.scheduleReconnect = function() {
+        var self = this;
+        if (!this.shouldReconnect) {
+            return;
+        }
+        if (this.connectionAttempts >= this.maxConnectionAttempts) {
+            logger.error('Maximum connection attempts (' + this.maxConnectionAttempts + ') reached. Will retry when the network or page becomes active again.');
+            return;
+        }
+
+        var delay = this.getReconnectDelay();
+        logger.info('Will retry connection in ' + delay + 'ms (attempt ' + this.connectionAttempts + '/' + this.maxConnectionAttempts + ')');
+
+        // Clear any existing timer
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+        }
+
+        this.reconnectTimer = setTimeout(function() {
+            self.reconnectTimer = null;
+            self.connect(self.adminDashboardUrl);
+        }, delay);
+    };
+
+    // Reconnect straight away when the browser comes back online or the tab becomes visible,
+    // instead of waiting out the backoff (or after attempts ran out)
+    WebSocketService.prototype.watchNetworkState = function() {
+        var self = this;
+        if (this.isWatchingNetwork || typeof window === 'undefined') {
+            return;
+        }
+        this.isWatchingNetwork = true;
+
+        var reconnectNow = function() {
+            if (!self.shouldReconnect) {
+                return;
+            }
+            if (self.isConnected) {
+                // The socket may be half-open after sleep or a network switch; check it now
+                self.sendHeartbeat();
+                return;
+            }
+            if (self.isConnecting) {
+                return;
+            }
+            logger.info('Network or page active again, reconnecting...');
+            self.resetConnectionAttempts();
+            self.connect(self.adminDashboardUrl);
+        };
+
+        var listen = function(target, type, listener) {
+            target.addEventListener(type, listener);
+            self.networkListeners.push({ target: target, type: type, listener: listener });
+        };
+        listen(window, 'online', reconnectNow);
+        if (typeof document !== 'undefined') {
+            listen(document, 'visibilitychange', function() {
+                if (document.visibilityState === 'visible') {
+                    reconnectNow();
+                }
+            });
+        }
+    };
+
+    // Remove the listeners added by watchNetworkState
+    WebSocketService.prototype.unwatchNetworkState = function() {
+        this.networkListeners.forEach(function(entry) {
+            entry.target.removeEventListener(entry.type, entry.listener);
+        });
+        this.networkListeners = [];
+        this.isWatchingNetwork = false;
+    };
+
+    // Ping the server regularly so half-open sockets (which the browser never reports as
+    // closed) are noticed and replaced
+    WebSocketService.prototype.startHeartbeat = function() {
+        var self = this;
+        this.stopHeartbeat();
+        if (!(this.heartbeatInterval > 0) || !this.transport || this.transport.heartbeat === false) {
+            return;
+        }
+        this.heartbeatTimer = setInterval(function() {
+            self.sendHeartbeat();
+        }, this.heartbeatInterval);
+    };
+
+    // Send a ping and expect some message back within heartbeatTimeout
+    WebSocketService.prototype.sendHeartbeat = function() {
+        var self = this;
+        if (!this.isConnected || this.heartbeatTimeoutTimer || !(this.heartbeatInterval > 0)) {
+            return;
+        }
+        if (!this.sendNow({ type: 'ping', timestamp: new Date().toISOString() })) {
+            return;
+        }
+        this.heartbeatTimeoutTimer = setTimeout(function() {
+            self.heartbeatTimeoutTimer = null;
+            self.handleHeartbeatTimeout();
+        }, this.heartbeatTimeout);
+    };
+
+    // No reply to the last ping: drop the connection and reconnect
+    WebSocketService.prototype.handleHeartbeatTimeout = function() {
+        var transport = this.transport;
+        logger.warn('⚠️ No heartbeat reply within ' + this.heartbeatTimeout + 'ms, reconnecting');
+        this.handleClose(transport, { code: 4000, reason: 'Heartbeat timeout' });
+
+        // Forget the dead transport first so its own close event, if it ever comes, is ignored
+        this.transport = null;
+        try {
+            transport.close(4000, 'Heartbeat timeout');
+        } catch (error) {
+            // The socket may already be unusable
+        }
+    };
+
+    WebSocketService.prototype.clearHeartbeatTimeout = function() {
+        if (this.heartbeatTimeoutTimer) {
+            clearTimeout(this.heartbeatTimeoutTimer);
+            this.heartbeatTimeoutTimer = null;
+        }
+    };
+
+    WebSocketService.prototype.stopHeartbeat = function() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+        this.clearHeartbeatTimeout();
+    };
+
+    // Register a callback for element click events received from the server
+    WebSocketService.prototype.onElementClick = function(callback) {
+        this.onElementClickCallbacks.push(callback);
+    };
+
+    // Register a callback for instruction events received from the server
+    WebSocketService.prototype.onInstruction = function(callback) {
+        this.onInstructionCallbacks.push(callback);
+    };
+
+    // Register a callback for the typed messages sent to the server, whether or not the
+    // connection is open: callback({ type, data, timestamp })
+    WebSocketService.prototype.onOutgoingMessage = function(callback) {
+        this.outgoingMessageCallbacks.push(callback);
+    };
+
+    // Decide whether an instruction applies to this page view. Published instructions apply
+    // to everyone; drafts only while preview (dyna dubbing) mode is on. Either way the
+    // instruction must not have passed its endAt and its targeting rules must match.
+    // Returns the reason it is skipped, or null.
+    WebSocketService.prototype.getSkipReason = function(instruction) {
+        logger.debug('🔍 shouldApplyInstruction check: publish =', instruction.publish, ', isDynaDubbing =', this.isDynaDubbing);
+
+        if (instruction.publish !== true && !this.isDynaDubbing) {
+            return 'Draft instruction and preview mode is off';
+        }
+        var endAt = parseTime(instruction.endAt);
+        if (endAt <= Date.now()) {
+            return 'Expired at ' + new Date(endAt).toISOString();
+        }
+        return checkTargeting(instruction);
+    };
+
+    // Turn preview mode on or off. Turning it off reverts drafts applied while it was on.
+    WebSocketService.prototype.setDynaDubbing = function(enabled) {
+        this.isDynaDubbing = !!enabled;
+        logger.info('Dyna dubbing set to:', this.isDynaDubbing);
+        if (!this.isDynaDubbing) {
+            var drafts = this.getInjectionsNewestFirst(function(entry) {
+                return entry.instruction && entry.instruction.publish !== true;
+            });
+            if (drafts.length) {
+                this.revertEntries(drafts);
+                logger.info('↩️ Reverted ' + drafts.length + ' draft injection(s)');
+            }
+        }
+    };
+
+    // Check if instruction should be applied
+    WebSocketService.prototype.shouldApplyInstruction = function(instruction) {
+        return this.getSkipReason(instruction) === null;
+    };
+
+    // Handle instructions received from the admin dashboard. Returns a promise for a result
+    // object: { id, action, status, path, matchedBy, matchedSelector, stripped, reason, error }, where status is
+    // 'applied', 'scheduled', 'skipped', 'not-found' or 'error' (processInstruction adds 'rejected'
+    // for bad signatures). When the target is not rendered yet and the instruction carries a timeout (ms),
+    // waits for it to appear.
+    WebSocketService.prototype.handleInstruction = function(instruction) {
+        logger.debug('🔧 handleInstruction called:', instruction);
+        var self = this;
+        
+        var skipReason = this.getSkipReason(instruction);
+        if (skipReason) {
+            logger.debug('Instruction ' + instruction.id + ' skipped: ' + skipReason);
+            return Promise.resolve(this.createInstructionResult(instruction, 'skipped', { reason: skipReason }));
+        }
+
+        // Instructions whose startAt lies ahead wait for it locally
+        if (parseTime(instruction.startAt) > Date.now()) {
+            var problem = this.validateInstruction(instruction);
+            if (problem) {
+                logger.error('❌ ' + problem);
+                return Promise.resolve(this.createInstructionResult(instruction, 'error', { error: problem }));
+            }
+            return Promise.resolve(this.scheduleInstruction(instruction));
+        }
+        
+        return this.runInstruction(instruction);
+    };
+
+    // Hold an instruction until its startAt, then handle it (re-checking publish, endAt and
+    // targeting) and report the result. Returns the 'scheduled' result.
+    WebSocketService.prototype.scheduleInstruction = function(instruction) {
+        var self = this;
+        var startAt = parseTime(instruction.startAt);
+        var endAt = parseTime(instruction.endAt);
+        this.cancelScheduledInstruction(instruction.id);
+
+        var record = {
+            id: instruction.id,
+            action: instruction.action,
+            selector: instruction.selector,
+            instruction: instruction,
+            status: 'scheduled',
+            startAt: new Date(startAt).toISOString(),
+            endAt: isNaN(endAt) ? null : new Date(endAt).toISOString(),
+            timer: null
+        };
+        record.timer = setTimeoutAt(startAt, function() {
+            self.runScheduledInstruction(record);
+        });
+        this.scheduledInstructions.set(instruction.id, record);
+
+        logger.info('⏰ Instruction ' + instruction.id + ' scheduled for ' + record.startAt);
+        return this.createInstructionResult(instruction, 'scheduled', { startAt: record.startAt });
+    };
+
+    // A scheduled instruction's startAt has come: apply it and report the outcome
+    WebSocketService.prototype.runScheduledInstruction = function(record) {
+        var self = this;
+        if (this.scheduledInstructions.get(record.id) !== record) {
+            return;
+        }
+        this.scheduledInstructions.delete(record.id);
+
+        var startedAt = Date.now();
+        logger.info('⏰ Applying scheduled instruction ' + record.id);
+        this.handleInstruction(record.instruction).then(function(result) {
+            self.reportInstructionResult(record.instruction, result, startedAt);
+        });
+    };
+
+    // Drop a scheduled instruction before its startAt. Returns true when one was pending.
+    WebSocketService.prototype.cancelScheduledInstruction = function(id) {
+        var record = this.scheduledInstructions.get(id);
+        if (!record) {
+            return false;
+        }
+        clearTimeoutAt(record.timer);
+        this.scheduledInstructions.delete(id);
+        this.instructionCache.forget(id);
+        logger.info('⏰ Cancelled scheduled instruction ' + id);
+        return true;
+    };
+
+    // Scheduled instructions still waiting for their startAt
+    WebSocketService.prototype.getScheduledInstructions = function() {
+        return Array.from(this.scheduledInstructions.values()).map(function(record) {
+            return {
+                id: record.id,
+                action: record.action,
+                selector: record.selector,
+                instruction: record.instruction,
+                status: record.status,
+                startAt: record.startAt,
+                endAt: record.endAt
+            };
+        });
+    };
+
+    // Revert an injection when its endAt arrives, whether or not the client is online
+    WebSocketService.prototype.scheduleExpiry = function(entry) {
+        var self = this;
+        var endAt = parseTime(entry.instruction.endAt);
+        if (isNaN(endAt)) {
+            return;
+        }
+        entry.endAt = new Date(endAt).toISOString();
+        entry.expiryTimer = setTimeoutAt(endAt, function() {
+            if (self.injectedContents.get(entry.id) !== entry) {
+                return;
+            }
+            logger.info('⏰ Injection ' + entry.id + ' expired');
+            self.revertInjection(entry.id);
+            self.sendInstructionResult(self.createInstructionResult(entry.instruction, 'expired'));
+        });
+    };
+
+    // Validate an instruction, find (or wait for) its target and apply it, without the
+    // publish and targeting checks. Returns a promise for the result.
+    WebSocketService.prototype.runInstruction = function(instruction) {
+        var self = this;
+        var problem = this.validateInstruction(instruction);
+        if (problem) {
+            logger.error('❌ ' + problem);
+            return Promise.resolve(this.createInstructionResult(instruction, 'error', { error: problem }));
+        }
+        
+        logger.debug('✅ Processing instruction:', instruction.action, 'on', instruction.selector);
+        
+        var timeout = instruction.timeout !== undefined ? instruction.timeout : this.defaultWaitTimeout;
+        return new Promise(function(resolve) {
+            var target = self.resolveTarget(instruction);
+            if (target || !(timeout > 0)) {
+                resolve(self.completeInstruction(instruction, target));
+                return;
+            }
+            logger.debug('⏳ Waiting up to ' + timeout + 'ms for ' + instruction.selector);
+            self.waitForTarget(instruction, timeout, function(lateTarget) {
+                resolve(self.completeInstruction(instruction, lateTarget));
+            });
+        });
+    };
+
+    // Apply a batch of instructions in order, all or nothing: { id, instructions, publish, targeting }.
+    // publish and targeting are checked once for the whole batch. When a step is not applied,
+    // the steps before it are reverted. Returns a promise for a single result with status
+    // 'applied', 'rolled-back', 'skipped' or 'error', the step results, failedIndex and rolledBack ids.
+    // Step ids must be unique and not in use, so a rollback never touches other injections.
+    WebSocketService.prototype.handleBatch = function(batch) {
+        var self = this;
+        var skipReason = this.getSkipReason(batch);
+        if (skipReason) {
+            logger.debug('Batch ' + batch.id + ' skipped: ' + skipReason);
+            return Promise.resolve(this.createInstructionResult(batch, 'skipped', { reason: skipReason }));
+        }
+        if (!Array.isArray(batch.instructions) || !batch.instructions.length) {
+            return Promise.resolve(this.createInstructionResult(batch, 'error', { error: 'Batch has no instructions' }));
+        }
+        var conflict = this.findBatchIdConflict(batch);
+        if (conflict !== null) {
+            logger.warn('⚠️ Batch ' + batch.id + ' rejected: step id ' + conflict + ' is repeated or already in use');
+            return Promise.resolve(this.createInstructionResult(batch, 'error', {
+                error: 'Step id ' + conflict + ' is repeated or already in use'
+            }));
+        }
+
+        var steps = [];
+        var applied = []; // Entries stored by the steps so far
+
+        var runStep = function(index) {
+            if (index >= batch.instructions.length) {
+                logger.debug('✅ Batch ' + batch.id + ' applied (' + applied.length + ' steps)');
+                return self.createInstructionResult(batch, 'applied', { steps: steps });
+            }
+
+            var instruction = self.createBatchStep(batch, index);
+            return self.runInstruction(instruction).then(function(stepResult) {
+                steps.push(stepResult);
+                if (stepResult.status === 'applied') {
+                    applied.push(self.injectedContents.get(instruction.id));
+                    return runStep(index + 1);
+                }
+
+                // Undo the earlier steps, newest first, so the page is left as it was. Only the
+                // batch's own entries are reverted, not injections that landed on them meanwhile.
+                var rolledBack = self.revertEntries(applied.filter(function(entry) {
+                    return entry && self.injectedContents.get(entry.id) === entry;
+                }).reverse());
+                var error = 'Step ' + (index + 1) + ' (' + instruction.action + ' on ' + instruction.selector + ') ' +
+                    stepResult.status + (stepResult.error ? ': ' + stepResult.error : '');
+                logger.warn('↩️ Batch ' + batch.id + ' rolled back. ' + error);
+                return self.createInstructionResult(batch, 'rolled-back', {
+                    steps: steps,
+                    failedIndex: index,
+                    rolledBack: rolledBack,
+                    error: error
+                });
+            });
+        };
+
+        return Promise.resolve().then(function() {
+            return runStep(0);
+        });
+    };
+
+    // The first step id of a batch that repeats an earlier step's or belongs to a live or
+    // scheduled injection, or null when they are all free
+    WebSocketService.prototype.findBatchIdConflict = function(batch) {
+        var seen = {};
+        for (var i = 0; i < batch.instructions.length; i++) {
+            var id = getBatchStepId(batch, i);
+            if (seen[id] || this.injectedContents.has(id) || this.scheduledInstructions.has(id)) {
+                return id;
+            }
+            seen[id] = true;
+        }
+        return null;
+    };
+
+    // The instruction for one step of a batch. Steps without an id get '<batch id>:<index>',
+    // and inherit the batch's publish flag so preview mode treats them like the batch.
+    WebSocketService.prototype.createBatchStep = function(batch, index) {
+        var step = {};
+        var source = batch.instructions[index];
+        Object.keys(source).forEach(function(key) {
+            step[key] = source[key];
+        });
+        step.id = getBatchStepId(batch, index);
+        if (step.publish === undefined) {
+            step.publish = batch.publish;
+        }
+        return step;
+    };
+
+    // Handle an instruction pushed by the admin dashboard: check its signature, apply it, report
+    // the outcome back as an instruction-result message and notify instruction callbacks
+    WebSocketService.prototype.processInstruction = function(instruction) {
+        var self = this;
+        return this.processSigned(instruction, function() {
+            logger.debug('🔧 Calling handleInstruction with context binding...');
+            return self.handleInstruction(instruction);
+        });
+    };
+
+    // Handle a batch pushed by the admin dashboard the same way, with one result for the batch
+    WebSocketService.prototype.processBatch = function(batch) {
+        var self = this;
+        return this.processSigned(batch, function() {
+            return self.handleBatch(batch);
+        });
+    };
+
+    // Verify the signature of an instruction or batch, run handle() when it is valid, then
+    // report the result and notify instruction callbacks
+    WebSocketService.prototype.processSigned = function(payload, handle) {
+        var self = this;
+        var receivedAt = Date.now();
+
+        // Unsigned or tampered instructions never reach the handlers
+        var outcome = this.verifyInstruction(payload).then(function(problem) {
+            if (problem) {
+                logger.warn('🔒 Rejected instruction ' + payload.id + ': ' + problem);
+                return self.createInstructionResult(payload, 'rejected', { error: problem });
+            }
+            try {
+                return handle();
+            } catch (handlerError) {
+                logger.error('❌ Error in handleInstruction:', handlerError);
+                return self.createInstructionResult(payload || {}, 'error', { error: handlerError.message });
+            }
+        });
+
+        return outcome.then(function(result) {
+            // Published changes are kept for the next page load
+            if (payload && payload.publish === true && (result.status === 'applied' || result.status === 'scheduled')) {
+                self.instructionCache.save(payload);
+            }
+            return self.reportInstructionResult(payload, result, receivedAt);
+        });
+    };
+
+    // Re-apply the published instructions cached for this page, without waiting for the
+    // dashboard. Targets the parser has not reached yet are waited for (up to cacheWaitTimeout),
+    // so most changes land before first paint. Batches wait for DOMContentLoaded. Cached
+    // payloads are verified like pushed ones; those failing are dropped from the cache. Returns
+    // a promise that settles once everything has been re-applied.
+    WebSocketService.prototype.restoreCachedInstructions = function() {
+        var self = this;
+        if (this.hasRestored) {
+            logger.warn('⚠️ Cached instructions were already restored');
+            return this.restoring;
+        }
+        this.hasRestored = true;
+
+        var payloads = this.instructionCache.read().payloads;
+        this.restoredInstructions = payloads;
+        if (!payloads.length) {
+            return this.restoring;
+        }
+        logger.info('💾 Re-applying ' + payloads.length + ' cached instruction(s)');
+
+        var restoring = payloads.map(function(payload) {
+            return self.verifyInstruction(payload).then(function(problem) {
+                if (problem) {
+                    logger.warn('🔒 Dropping cached instruction ' + payload.id + ': ' + problem);
+                    self.instructionCache.forget(payload.id);
+                    return self.createInstructionResult(payload, 'rejected', { error: problem });
+                }
+                return self.restoreCachedPayload(payload);
+            });
+        });
+        // Reconciling waits for this, so it never races a change still being restored
+        this.restoring = Promise.all(restoring);
+        return this.restoring;
+    };
+
+    // Re-apply one verified cached instruction or batch. One whose endAt has passed is still
+    // reported as skipped, but forgotten so it is not looked at again on every load.
+    WebSocketService.prototype.restoreCachedPayload = function(payload) {
+        var self = this;
+        if (parseTime(payload.endAt) <= Date.now()) {
+            logger.info('💾 Cached instruction ' + payload.id + ' has expired, dropping it');
+            this.instructionCache.forget(payload.id);
+        }
+        var isLoading = document.readyState === 'loading';
+        if (Array.isArray(payload.instructions)) {
+            if (!isLoading) {
+                return this.handleBatch(payload);
+            }
+            return new Promise(function(resolve) {
+                var cancel = function() {
+                    document.removeEventListener('DOMContentLoaded', onLoaded);
+                    self.pendingWaits.delete(cancel);
+                };
+                var onLoaded = function() {
+                    cancel();
+                    resolve(self.handleBatch(payload));
+                };
+                self.pendingWaits.add(cancel);
+                document.addEventListener('DOMContentLoaded', onLoaded);
+            });
+        }
+
+        var instruction = payload;
+        if (isLoading) {
+            instruction = {};
+            Object.keys(payload).forEach(function(key) {
+                instruction[key] = payload[key];
+            });
+            instruction.timeout = Math.max(payload.timeout || 0, this.cacheWaitTimeout);
+        }
+        return this.handleInstruction(instruction);
+    };
+
+    // Bring the page in line with the server's current instructions for this path:
+    // { version, instructions } or { version, notModified: true }
+    WebSocketService.prototype.reconcileInstructions = function(data) {
+        var self = this;
+        return this.restoring.then(function() {
+            // The server's set replaces the cache, so a later restore has nothing to add
+            self.hasRestored = true;
+            return self.applyServerInstructions(data);
+        });
+    };
+
+    // Cached changes the server no longer has (or has changed) are reverted, new ones
+    // applied, and the cache replaced
+    WebSocketService.prototype.applyServerInstructions = function(data) {
+        var self = this;
+        var cached = this.instructionCache.read().payloads;
+
+        if (data.notModified) {
+            logger.debug('💾 Cached instructions are current (version ' + data.version + ')');
+            this.instructionCache.replace(cached, data.version);
+            return Promise.resolve([]);
+        }
+
+        var current = (data.instructions || []).filter(function(payload) {
+            return payload && payload.publish === true;
+        });
+        var currentById = {};
+        current.forEach(function(payload) {
+            currentById[payload.id] = canonicalJSON(payload);
+        });
+
+        // Drop stale or changed cached changes
+        var unchanged = {};
+        cached.concat(this.restoredInstructions).forEach(function(payload) {
+            if (currentById[payload.id] === canonicalJSON(payload)) {
+                unchanged[payload.id] = true;
+                return;
+            }
+            var ids = Array.isArray(payload.instructions) ? payload.instructions.map(function(step, index) {
+                return getBatchStepId(payload, index);
+            }).reverse() : [payload.id];
+            ids.forEach(function(id) {
+                if (self.injectedContents.has(id) || self.scheduledInstructions.has(id)) {
+                    logger.info('💾 Dropping stale cached instruction ' + id);
+                    self.revertInjection(id);
+                }
+            });
+        });
+        this.restoredInstructions = [];
+
+        // Apply what is new, then remember the server's set and version
+        var pending = current.filter(function(payload) {
+            return !unchanged[payload.id];
+        }).map(function(payload) {
+            return Array.isArray(payload.instructions) ? self.processBatch(payload) : self.processInstruction(payload);
+        });
+        return Promise.all(pending).then(function(results) {
+            self.instructionCache.replace(current, data.version);
+            return results;
+        });
+    };
+
+    // Send a result back as an instruction-result message and notify instruction callbacks
+    WebSocketService.prototype.reportInstructionResult = function(payload, result, receivedAt) {
+        result.receivedAt = new Date(receivedAt).toISOString();
+        result.durationMs = Date.now() - receivedAt;
+        logger.debug('✅ handleInstruction completed:', result.status);
+
+        this.sendInstructionResult(result);
+        this.onInstructionCallbacks.forEach(function(cb) {
+            cb(payload, result);
+        });
+        return result;
+    };
+
+    // Apply an instruction once its target has been resolved (or not) and describe the outcome
+    WebSocketService.prototype.completeInstruction = function(instruction, target) {
+        if (!target) {
+            logger.warn('⚠️ Element not found for selector: ' + instruction.selector);
+            this.logAvailableElements();
+            return this.createInstructionResult(instruction, 'not-found');
+        }
+
+        // The path is taken before applying, while the element is still in place
+        var path = buildElementPath(target.element);
+
+        try {
+            var entry = this.applyInstruction(instruction, target);
+            logger.debug('✅ Instruction processing completed');
+            if (!entry) {
+                return this.createInstructionResult(instruction, 'error', { path: path, error: 'Instruction could not be applied' });
+            }
+            return this.createInstructionResult(instruction, 'applied', {
+                path: path,
+                stripped: entry.stripped,
+                matchedBy: target.matchedBy,
+                matchedSelector: target.matchedSelector
+            });
+        } catch (error) {
+            logger.error('❌ Error handling instruction:', error);
+            return this.createInstructionResult(instruction, 'error', {
+                path: path,
+                stripped: error.stripped || [],
+                error: error.message
+            });
+        }
+    };
+
+    // Build the result reported for a handled instruction
+    WebSocketService.prototype.createInstructionResult = function(instruction, status, details) {
+        var result = {
+            id: instruction.id,
+            action: Array.isArray(instruction.instructions) ? 'batch' : instruction.action,
+            status: status,
+            path: null,
+            matchedBy: null,
+            matchedSelector: null,
+            stripped: [],
+            reason: null,
+            error: null
+        };
+        Object.keys(details || {}).forEach(function(key) {
+            result[key] = details[key];
+        });
+        return result;
+    };
+
+    // Check an instruction has a known action and the fields its handler needs.
+    // Returns a description of the problem, or null when the instruction is usable.
+    WebSocketService.prototype.validateInstruction = function(instruction) {
+        var handler = instructionHandlers[instruction.action];
+        if (!handler) {
+            return 'Unknown instruction action: ' + instruction.action;
+        }
+
+        var missing = ['selector'].concat(handler.requires).filter(function(field) {
+            return instruction[field] === undefined || instruction[field] === null;
+        });
+        if (missing.length) {
+            return 'Invalid ' + instruction.action + ' instruction: Missing ' + missing.join(', ');
+        }
+        var badTime = ['startAt', 'endAt'].filter(function(field) {
+            return instruction[field] !== undefined && instruction[field] !== null && isNaN(parseTime(instruction[field]));
+        });
+        if (badTime.length) {
+            return 'Invalid ' + instruction.action + ' instruction: ' + badTime.join(', ') + ' is not a valid time';
+        }
+        return null;
+    };
+
+    // Resolve the element an instruction targets. The primary selector is tried first, then
+    // instruction.fallbackSelectors in order, then instruction.fingerprint. Returns
+    // { element, matchedBy: 'selector' | 'fallback' | 'fingerprint', matchedSelector } or null.
+    WebSocketService.prototype.resolveTarget = function(instruction) {
+        var selectors = [instruction.selector].concat(instruction.fallbackSelectors || []);
+        for (var i = 0; i < selectors.length; i++) {
+            var element = querySelectorSafe(selectors[i], this.root);
+            if (element) {
+                if (i > 0) {
+                    logger.debug('🔍 Primary selector is stale, matched fallback: ' + selectors[i]);
+                }
+                return {
+                    element: element,
+                    matchedBy: i === 0 ? 'selector' : 'fallback',
+                    matchedSelector: selectors[i]
+                };
+            }
+        }
+
+        if (instruction.fingerprint) {
+            var match = findByFingerprint(instruction.fingerprint, this.root);
+            if (match) {
+                logger.debug('🔍 Selectors are stale, matched element by fingerprint');
+                return { element: match, matchedBy: 'fingerprint', matchedSelector: null };
+            }
+        }
+
+        return null;
+    };
+
+    // Wait for an instruction's target to appear, calling back with the resolved target or
+    // with null once the timeout has passed
+    WebSocketService.prototype.waitForTarget = function(instruction, timeout, callback) {
+        var self = this;
+        var observer = null;
+        var timer = null;
+        var done = false;
+
+        // Also called by destroy(), which drops the wait without calling back
+        var cancel = function() {
+            done = true;
+            if (observer) {
+                observer.disconnect();
+            }
+            clearTimeout(timer);
+            self.pendingWaits.delete(cancel);
+        };
+        var finish = function(target) {
+            if (done) {
+                return;
+            }
+            cancel();
+            callback(target);
+        };
+        this.pendingWaits.add(cancel);
+
+        if (typeof MutationObserver !== 'undefined') {
+            observer = new MutationObserver(function() {
+                var target = self.resolveTarget(instruction);
+                if (target) {
+                    finish(target);
+                }
+            });
+            observer.observe(this.root || document.documentElement, { childList: true, subtree: true, attributes: true });
+        }
+
+        timer = setTimeout(function() {
+            // One last look, in case the target arrived without a mutation we were watching
+            finish(self.resolveTarget(instruction));
+        }, timeout);
+    };
+
+    // Apply an instruction through the handler registered for its action and store what is
+    // needed to revert it. The target may be passed in when it was already resolved.
+    // Returns the stored entry, or null when nothing was applied.
+    WebSocketService.prototype.applyInstruction = function(instruction, target) {
+        var problem = this.validateInstruction(instruction);
+        if (problem) {
+            logger.error('❌ ' + problem);
+            return null;
+        }
+        var handler = instructionHandlers[instruction.action];
+
+        target = target || this.resolveTarget(instruction);
+        if (!target) {
+            logger.warn('⚠️ Element not found for selector: ' + instruction.selector);
+            this.logAvailableElements();
+            return null;
+        }
+        var element = target.element;
+
+        if (handler.requiresParent && !element.parentNode) {
+            logger.error('❌ Element has no parent node: ' + instruction.selector);
+            return null;
+        }
+
+        // Overlaps must be collected before the DOM changes, while the nodes are still attached
+        var entry = {
+            id: instruction.id,
+            status: 'applied',
+            action: instruction.action,
+            selector: instruction.selector,
+            content: instruction.content,
+            attribute: instruction.attribute,
+            originalContent: element.innerHTML,
+            element: element,
+            instruction: instruction,
+            matchedBy: target.matchedBy,
+            matchedSelector: target.matchedSelector,
+            overlaps: this.findOverlappingInjections(element),
+            timestamp: instruction.timestamp
+        };
+
+        var context = this.createHandlerContext();
+        var state;
+        try {
+            state = handler.apply(element, instruction, context) || {};
+        } catch (error) {
+            error.stripped = context.stripped; // Reported with the failed result
+            throw error;
+        }
+        if (context.stripped.length) {
+            logger.warn('🧹 Sanitizer stripped from ' + instruction.id + ':', context.stripped.join(', '));
+        }
+        Object.keys(state).forEach(function(key) {
+            entry[key] = state[key];
+        });
+        entry.stripped = context.stripped;
+        entry.sequence = ++this.injectionSequence;
+
+        // A re-applied instruction replaces its old entry, and with it the old expiry timer
+        var previous = this.injectedContents.get(instruction.id);
+        if (previous) {
+            clearTimeoutAt(previous.expiryTimer);
+        }
+        this.injectedContents.set(instruction.id, entry);
+        this.scheduleExpiry(entry);
+        this.updatePersistenceObserver();
+        logger.debug('✅ Successfully applied ' + instruction.action + ' to ' + instruction.selector);
+        return entry;
+    };
+
+    // Build the context handed to instruction handlers. Everything stripped by the sanitizer
+    // while the handler runs is collected in context.stripped.
+    WebSocketService.prototype.createHandlerContext = function() {
+        var sanitizer = this.sanitizer;
+        var context = {
+            stripped: [],
+            parseHTML: function(html) {
+                var result = sanitizer.sanitize(html);
+                context.stripped = context.stripped.concat(result.stripped);
+                return result.nodes;
+            },
+            isAttributeSafe: function(name, value) {
+                return sanitizer.isAttributeSafe(name, value);
+            }
+        };
+        return context;
+    };
+
+    // Log the first few elements in the DOM to help debug selectors that did not match
+    WebSocketService.prototype.logAvailableElements = function() {
+        if (!logger.isEnabled('debug')) {
+            return;
+        }
+        logger.debug('📋 Available elements in DOM:');
+        var allElements = (this.root || document).querySelectorAll('*');
+        for (var i = 0; i < Math.min(5, allElements.length); i++) {
+            var el = allElements[i];
+            logger.debug('  - ' + el.tagName + (el.id ? '#' + el.id : '') + (el.className ? '.' + el.className.split(' ').join('.') : ''));
+        }
+    };
+
+    // Append HTML content to an element
+    WebSocketService.prototype.appendHTML = function(instruction) {
+        return this.applyInstructionAs('appendHTML', instruction);
+    };
+
+    // Replace HTML content of an element
+    WebSocketService.prototype.replaceHTML = function(instruction) {
+        return this.applyInstructionAs('replaceHTML', instruction);
+    };
+
+    // Remove an element from the DOM
+    WebSocketService.prototype.removeElement = function(instruction) {
+        return this.applyInstructionAs('removeElement', instruction);
+    };
+
+    // Apply an instruction with its action forced to the given one
+    WebSocketService.prototype.applyInstructionAs = function(action, instruction) {
+        var forced = {};
+        Object.keys(instruction).forEach(function(key) {
+            forced[key] = instruction[key];
+        });
+        forced.action = action;
+        try {
+            return this.applyInstruction(forced);
+        } catch (error) {
+            logger.error('❌ Error applying ' + action + ':', error);
+            return null;
+        }
+    };
+
+    // Whether an injection should be kept in place when the page re-renders its target
+    WebSocketService.prototype.isPersistent = function(entry) {
+        var instruction = entry.instruction || {};
+        if (instruction.persist === true || instruction.persist === false) {
+            return instruction.persist;
+        }
+        return this.persistInjections;
+    };
+
+    // Check whether an injection is still visible in the page. Detached actions (removing or
+    // replacing the element) are undone when their selector matches a fresh element again.
+    WebSocketService.prototype.isInjectionIntact = function(entry) {
+        var handler = instructionHandlers[entry.action];
+
+        if (entry.detached) {
+            var target = this.resolveTarget(entry.instruction);
+            var current = target && target.element;
+            var isOurs = current && (entry.insertedNodes || []).some(function(node) {
+                return node === current || node.contains(current);
+            });
+            if (current && !isOurs) {
+                return false;
+            }
+        } else if (!isAttached(entry.element)) {
+            return false;
+        }
+
+        return !handler.isIntact || handler.isIntact(entry);
+    };
+
+    // Re-apply persistent injections that the page has wiped or whose targets came back.
+    // Injections whose selector matches nothing yet are left until the target reappears.
+    WebSocketService.prototype.checkPersistentInjections = function() {
+        var self = this;
+        var now = Date.now();
+
+        this.getInjections().forEach(function(entry) {
+            if (!self.isPersistent(entry) || entry.persistenceSuspended || self.isInjectionIntact(entry)) {
+                return;
+            }
+            // After a route change the instruction may no longer target this page
+            if (self.getSkipReason(entry.instruction) || !self.resolveTarget(entry.instruction)) {
+                return;
+            }
+
+            // Loop protection: give up on injections the page keeps undoing
+            var history = (self.reapplyHistory[entry.id] || []).filter(function(time) {
+                return now - time < self.reapplyWindow;
+            });
+            if (history.length >= self.maxReapplies) {
+                entry.persistenceSuspended = true;
+                logger.warn('⚠️ Injection ' + entry.id + ' was undone ' + history.length + ' times in ' + self.reapplyWindow + 'ms; no longer re-applying it');
+                return;
+            }
+            history.push(now);
+            self.reapplyHistory[entry.id] = history;
+
+            logger.info('🔁 Re-applying persistent injection ' + entry.id + ' on ' + entry.selector);
+            // The page already discarded the old change, so the stale entry is dropped, not reverted
+            self.injectedContents.delete(entry.id);
+            try {
+                self.applyInstruction(entry.instruction);
+            } catch (error) {
+                logger.error('❌ Error re-applying injection ' + entry.id + ':', error);
+            }
+        });
+
+        // Our own re-applied mutations must not trigger another check
+        if (this.persistenceObserver) {
+            this.persistenceObserver.takeRecords();
+        }
+        this.updatePersistenceObserver();
+    };
+
+    // Start watching the DOM while persistent injections exist, and stop once none are left
+    WebSocketService.prototype.updatePersistenceObserver = function() {
+        var self = this;
+        var needed = this.getInjections().some(function(entry) {
+            return self.isPersistent(entry);
+        });
+
+        if (needed && !this.persistenceObserver && typeof MutationObserver !== 'undefined') {
+            this.persistenceObserver = new MutationObserver(function() {
+                self.schedulePersistenceCheck();
+            });
+            this.persistenceObserver.observe(this.root || document.documentElement, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                characterData: true
+            });
+
+            if (!this.routeChangeListener) {
+                this.routeChangeListener = function() {
+                    // A new route gives suspended injections another chance
+                    self.reapplyHistory = {};
+                    self.getInjections().forEach(function(entry) {
+                        entry.persistenceSuspended = false;
+                    });
+                    self.schedulePersistenceCheck();
+                };
+                onRouteChange(this.routeChangeListener);
+            }
+        } else if (!needed && this.persistenceObserver) {
+            this.persistenceObserver.disconnect();
+            this.persistenceObserver = null;
+        }
+    };
+
+    // Batch mutation bursts from a re-render into a single check
+    WebSocketService.prototype.schedulePersistenceCheck = function() {
+        var self = this;
+        if (this.persistenceCheckTimer) {
+            return;
+        }
+        this.persistenceCheckTimer = setTimeout(function() {
+            self.persistenceCheckTimer = null;
+            self.checkPersistentInjections();
+        }, 50);
+    };
+
+    // Get all active injections
+    WebSocketService.prototype.getInjections = function() {
+        return Array.from(this.injectedContents.values());
+    };
+
+    // Get active injections sorted from the most recently applied to the oldest
+    WebSocketService.prototype.getInjectionsNewestFirst = function(filter) {
+        return this.getInjections().filter(function(entry) {
+            return !filter || filter(entry);
+        }).sort(function(a, b) {
+            return (b.sequence || 0) - (a.sequence || 0);
+        });
+    };
+
+    // Collect the ids of active injections that touch the given element, its ancestors or
+    // its descendants. Must be called before the DOM is modified, while the nodes are attached.
+    WebSocketService.prototype.findOverlappingInjections = function(element) {
+        var overlapping = [];
+        this.injectedContents.forEach(function(entry) {
+            // A detached element no longer sits in the DOM, so its old parent stands in for it
+            var region = entry.detached ? entry.parent : entry.element;
+            if (region && (region === element || region.contains(element) || element.contains(region))) {
+                overlapping.push(entry.id);
+            }
+        });
+        return overlapping;
+    };
+
+    // Undo a single stored injection and drop it from the registry
+    WebSocketService.prototype.revertEntry = function(entry) {
+        var handler = instructionHandlers[entry.action];
+        if (!handler) {
+            logger.warn('Cannot revert unknown instruction action:', entry.action);
+            return false;
+        }
+
+        handler.revert(entry);
+        clearTimeoutAt(entry.expiryTimer);
+        this.injectedContents.delete(entry.id);
+        this.instructionCache.forget(entry.id);
+        delete this.reapplyHistory[entry.id];
+        this.updatePersistenceObserver();
+        logger.info('↩️ Reverted ' + entry.action + ' on ' + entry.selector);
+        return true;
+    };
+
+    // Revert an injection by id. Injections applied later to the same element (or to an
+    // ancestor/descendant of it) depend on its state, so they are unwound first, newest
+    // first. Returns the ids that were reverted.
+    WebSocketService.prototype.revertInjection = function(id) {
+        var entry = this.injectedContents.get(id);
+        if (!entry && this.cancelScheduledInstruction(id)) {
+            return [id];
+        }
+        if (!entry) {
+            logger.warn('No injection found with id:', id);
+            return [];
+        }
+
+        var affectedIds = [id];
+        var affected = [entry];
+        this.getInjectionsNewestFirst(function(other) {
+            return other.sequence > entry.sequence;
+        }).reverse().forEach(function(other) {
+            var dependsOnAffected = (other.overlaps || []).some(function(overlapId) {
+                return affectedIds.indexOf(overlapId) !== -1;
+            });
+            if (dependsOnAffected) {
+                affectedIds.push(other.id);
+                affected.push(other);
+            }
+        });
+
+        return this.revertEntries(affected.reverse());
+    };
+
+    // Revert every injection that was applied with the given selector
+    WebSocketService.prototype.revertInjectionsBySelector = function(selector) {
+        var self = this;
+        var reverted = [];
+        this.scheduledInstructions.forEach(function(record) {
+            if (record.selector === selector && self.cancelScheduledInstruction(record.id)) {
+                reverted.push(record.id);
+            }
+        });
+        this.getInjectionsNewestFirst(function(entry) {
+            return entry.selector === selector;
+        }).forEach(function(entry) {
+            if (self.injectedContents.has(entry.id)) {
+                reverted = reverted.concat(self.revertInjection(entry.id));
+            }
+        });
+        return reverted;
+    };
+
+    // Revert all injections, newest first, and return the ids that were reverted
+    WebSocketService.prototype.revertAll = function() {
+        var cancelled = Array.from(this.scheduledInstructions.keys());
+        cancelled.forEach(this.cancelScheduledInstruction, this);
+        return cancelled.concat(this.revertEntries(this.getInjectionsNewestFirst()));
+    };
+
+    // Revert a list of entries in the given order, skipping ones already gone
+    WebSocketService.prototype.revertEntries = function(entries) {
+        var self = this;
+        var reverted = [];
+        entries.forEach(function(entry) {
+            if (!self.injectedContents.has(entry.id)) {
+                return;
+            }
+            try {
+                if (self.revertEntry(entry)) {
+                    reverted.push(entry.id);
+                }
+            } catch (error) {
+                logger.error('❌ Error reverting injection ' + entry.id + ':', error);
+            }
+        });
+        return reverted;
+    };
+
+    // Handle a highlight message from the admin dashboard
+    WebSocketService.prototype.handleHighlightMessage = function(data) {
+        if (!this.highlightLayer) {
+            return;
+        }
+        if (data.clear) {
+            this.highlightLayer.clear();
+            return;
+        }
+        if (!data.selector) {
+            logger.warn('Invalid highlight message: Missing selector');
+            return;
+        }
+        this.highlightLayer.highlightSelector(data.selector, {
+            color: data.color,
+            duration: data.duration,
+            label: data.label
+        });
+    };
+
+    // Handle a revert message from the admin dashboard: { id }, { selector } or { all: true }
+    WebSocketService.prototype.handleRevertInstruction = function(data) {
+        logger.debug('↩️ Received revert instruction:', data);
+        if (data.all) {
+            return this.revertAll();
+        }
+        if (data.id !== undefined && data.id !== null) {
+            return this.revertInjection(data.id);
+        }
+        if (data.selector) {
+            return this.revertInjectionsBySelector(data.selector);
+        }
+        logger.warn('Invalid revert instruction: expected id, selector or all');
+        return [];
+    };
+
+    // Send a typed message to the server. While the connection is not open the message is queued
+    // and sent once the connection opens. Returns true when it was sent right away.
+    WebSocketService.prototype.sendMessage = function(type, data) {
+        var message = {
+            type: type,
+            data: data,
+            timestamp: new Date().toISOString()
+        };
+        this.outgoingMessageCallbacks.forEach(function(cb) {
+            cb(message);
+        });
+
+        if (this.outboundQueue.length === 0 && this.sendNow(message)) {
+            return true;
+        }
+
+        this.enqueueMessage(message);
+        return false;
+    };
+
+    // Hand a message to the open transport. Returns false when it could not be sent.
+    WebSocketService.prototype.sendNow = function(message) {
+        if (!this.transport || !this.isConnected || !this.transport.isOpen()) {
+            return false;
+        }
+        try {
+            this.transport.send(JSON.stringify(message));
+            return true;
+        } catch (error) {
+            logger.error('❌ Error sending message:', error);
+            return false;
+        }
+    };
+
+    // Buffer a message until the connection opens, dropping the oldest when the queue is full
+    WebSocketService.prototype.enqueueMessage = function(message) {
+        this.outboundQueue.push(message);
+        while (this.outboundQueue.length > this.maxQueueSize) {
+            this.outboundQueue.shift();
+            this.droppedMessageCount++;
+        }
+        this.saveQueue();
+    };
+
+    // Send queued messages in the order they were created
+    WebSocketService.prototype.flushQueue = function() {
+        var sent = 0;
+        while (this.outboundQueue.length && this.sendNow(this.outboundQueue[0])) {
+            this.outboundQueue.shift();
+            sent++;
+        }
+        if (sent) {
+            logger.info('📤 Flushed ' + sent + ' queued message(s)');
+        }
+        this.saveQueue();
+    };
+
+    // sessionStorage key of the persisted queue, one per tracker instance
+    WebSocketService.prototype.getQueueStorageKey = function() {
+        return QUEUE_STORAGE_KEY + (this.namespace ? ':' + this.namespace : '');
+    };
+
+    // Mirror the queue into sessionStorage so it survives reloads within the tab
+    WebSocketService.prototype.saveQueue = function() {
+        if (!this.persistQueue) {
+            return;
+        }
+        try {
+            if (this.outboundQueue.length) {
+                window.sessionStorage.setItem(this.getQueueStorageKey(), JSON.stringify(this.outboundQueue));
+            } else {
+                window.sessionStorage.removeItem(this.getQueueStorageKey());
+            }
+        } catch (error) {
+            logger.warn('⚠️ Could not persist outbound queue:', error);
+        }
+    };
+
+    // Put messages persisted by an earlier page ahead of anything queued since
+    WebSocketService.prototype.restoreQueue = function() {
+        try {
+            var stored = JSON.parse(window.sessionStorage.getItem(this.getQueueStorageKey()) || '[]');
+            if (Array.isArray(stored) && stored.length) {
+                this.outboundQueue = stored.concat(this.outboundQueue);
+                while (this.outboundQueue.length > this.maxQueueSize) {
+                    this.outboundQueue.shift();
+                    this.droppedMessageCount++;
+                }
+                logger.info('📦 Restored ' + stored.length + ' queued message(s)');
+            }
+        } catch (error) {
+            logger.warn('⚠️ Could not restore outbound queue:', error);
+        }
+    };
+
+    // Change queue settings: { maxSize, persist }
+    WebSocketService.prototype.configureQueue = function(options) {
+        options = options || {};
+        if (options.maxSize !== undefined) {
+            this.maxQueueSize = Math.max(0, options.maxSize);
+        }
+        if (options.persist !== undefined) {
+            var persist = !!options.persist;
+            if (persist && !this.persistQueue) {
+                this.persistQueue = true;
+                this.restoreQueue();
+            } else if (!persist && this.persistQueue) {
+                this.persistQueue = false;
+                try {
+                    // Leave nothing behind for the next page; the queue itself still waits for a connection
+                    window.sessionStorage.removeItem(this.getQueueStorageKey());
+                } catch (error) {
+                    logger.warn('⚠️ Could not clear persisted outbound queue:', error);
+                }
+            }
+        }
+        while (this.outboundQueue.length > this.maxQueueSize) {
+            this.outboundQueue.shift();
+            this.droppedMessageCount++;
+        }
+        this.saveQueue();
+        this.flushQueue();
+    };
+
+    // Outbound queue statistics
+    WebSocketService.prototype.getQueueStats = function() {
+        return {
+            size: this.outboundQueue.length,
+            maxSize: this.maxQueueSize,
+            dropped: this.droppedMessageCount,
+            persisted: this.persistQueue
+        };
+    };
+
+    // Send element click data to the server
+    WebSocketService.prototype.sendElementClick = function(elementData) {
+        if (!this.sendMessage('element-clicked', elementData)) {
+            logger.debug('📦 Not connected. Element data queued (' + this.outboundQueue.length + ' waiting).');
+        }
+    };
+
+    // Send a tracked interaction (element-input, form-submit, scroll-depth, ...) to the server
+    WebSocketService.prototype.sendInteraction = function(type, data) {
+        if (!this.sendMessage(type, data)) {
+            logger.debug('📦 Not connected. ' + type + ' queued (' + this.outboundQueue.length + ' waiting).');
+        }
+    };
+
+    // Report the outcome of an instruction so the admin dashboard can show delivery status
+    WebSocketService.prototype.sendInstructionResult = function(result) {
+        if (!this.sendMessage('instruction-result', result)) {
+            logger.debug('📦 Not connected. Instruction result for ' + result.id + ' queued.');
+        }
+    };
+
+    // Reset connection attempts and allow trying again
+    WebSocketService.prototype.resetConnectionAttempts = function() {
+        this.connectionAttempts = 0;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        logger.info('Connection attempts reset. You can try connecting again.');
+    };
+
+    // Disconnect from the admin dashboard
+    WebSocketService.prototype.disconnect = function() {
+        this.shouldReconnect = false;
+        this.stopHeartbeat();
+        this.isConnecting = false;
+
+        if (this.transport) {
+            this.transport.close(1000, "Normal closure");
+            this.transport = null;
+            this.isConnected = false;
+        }
+        
+        // Clear any pending reconnection timer
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    };
+
+    // Shut the service down for good: disconnect and stop every timer, observer and listener.
+    // Instructions still waiting for their target (or for the page to load) are dropped, and
+    // their promises never settle. Applied injections stay on the page and cached
+    // instructions stay cached.
+    WebSocketService.prototype.destroy = function() {
+        this.disconnect();
+        this.unwatchNetworkState();
+        this.pendingWaits.forEach(function(cancel) {
+            cancel();
+        });
+        if (this.routeChangeListener) {
+            offRouteChange(this.routeChangeListener);
+            this.routeChangeListener = null;
+        }
+        this.scheduledInstructions.forEach(function(record) {
+            clearTimeoutAt(record.timer);
+        });
+        this.scheduledInstructions.clear();
+        this.injectedContents.forEach(function(entry) {
+            clearTimeoutAt(entry.expiryTimer);
+        });
+        this.injectedContents.clear();
+        this.updatePersistenceObserver();
+        clearTimeout(this.persistenceCheckTimer);
+        this.persistenceCheckTimer = null;
+    };
+
+    // Privacy Filter Class
+    // Redacts element data before it leaves the page: sensitive fields never send their
+    // values, data-et-ignore turns tracking off for a subtree, data-et-mask hides its text
+    // and values, and emails, phone numbers and custom patterns are scrubbed from what is left
+    function PrivacyFilter() {
+        this.ignoreAttribute = 'data-et-ignore';
+        this.maskAttribute = 'data-et-mask';
+        this.maskText = '***';
+        this.maxTextLength = 200; // 0 for no cap
+        this.scrubEmails = true;
+        this.scrubPhones = true;
+        this.patterns = []; // Extra { pattern, replacement } pairs applied after the built-in ones
+    }
+
+    var EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+    // Runs of digits and separators; only runs with at least 9 digits count as phone numbers,
+    // so dates, prices and short ids are left alone
+    var PHONE_PATTERN = /\+?\(?\d[\d\s().-]{6,}\d/g;
+
+    // Change settings: { maxTextLength, maskText, scrubEmails, scrubPhones, patterns }.
+    // patterns are appended; each is a RegExp (or string) with an optional replacement.
+    PrivacyFilter.prototype.configure = function(options) {
+        var self = this;
+        options = options || {};
+
+        ['maxTextLength', 'maskText'].forEach(function(key) {
+            if (options[key] !== undefined) {
+                self[key] = options[key];
+            }
+        });
+        if (options.scrubEmails !== undefined) {
+            this.scrubEmails = !!options.scrubEmails;
+        }
+        if (options.scrubPhones !== undefined) {
+            this.scrubPhones = !!options.scrubPhones;
+        }
+        var isRegExp = function(value) {
+            return Object.prototype.toString.call(value) === '[object RegExp]';
+        };
+        (options.patterns || []).forEach(function(entry) {
+            var pattern = isRegExp(entry) || typeof entry === 'string' ? entry : entry.pattern;
+            if (typeof pattern === 'string') {
+                pattern = new RegExp(pattern, 'g');
+            } else if (isRegExp(pattern) && !pattern.global) {
+                pattern = new RegExp(pattern.source, pattern.flags + 'g');
+            }
+            if (!isRegExp(pattern)) {
+                logger.warn('⚠️ Invalid privacy pattern:', entry);
+                return;
+            }
+            self.patterns.push({
+                pattern: pattern,
+                replacement: entry.replacement !== undefined ? entry.replacement : '[redacted]'
+            });
+        });
+    };
+
+    // Whether the element or one of its ancestors (across shadow roots and frames) has the attribute
+    PrivacyFilter.prototype.hasMarkedAncestor = function(element, attribute) {
+        while (element) {
+            if (element.nodeType === 1 && element.hasAttribute(attribute)) {
+                return true;
+            }
+            element = element.parentNode && element.parentNode.nodeType === 1 ?
+                element.parentNode : (element.nodeType === 1 ? getScopeHost(element) : null);
+        }
+        return false;
+    };
+
+    PrivacyFilter.prototype.isIgnored = function(element) {
+        return this.hasMarkedAncestor(element, this.ignoreAttribute);
+    };
+
+    PrivacyFilter.prototype.isMasked = function(element) {
+        return this.hasMarkedAncestor(element, this.maskAttribute);
+    };
+
+    // Password and payment card fields, whose values are never sent
+    PrivacyFilter.prototype.isSensitiveField = function(element) {
+        if ((element.getAttribute('type') || '').toLowerCase() === 'password') {
+            return true;
+        }
+        return (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/).some(function(token) {
+            return token.indexOf('cc-') === 0;
+        });
+    };
+
+    // Scrub emails, phone numbers and custom patterns from a string
+    PrivacyFilter.prototype.scrub = function(value) {
+        if (typeof value !== 'string' || !value) {
+            return value;
+        }
+        if (this.scrubEmails) {
+            value = value.replace(EMAIL_PATTERN, '[email]');
+        }
+        if (this.scrubPhones) {
+            value = value.replace(PHONE_PATTERN, function(match) {
+                return match.replace(/\D/g, '').length >= 9 ? '[phone]' : match;
+            });
+        }
+        this.patterns.forEach(function(entry) {
+            value = value.replace(entry.pattern, entry.replacement);
+        });
+        return value;
+    };
+
+    // Scrub and cap free text such as innerText
+    PrivacyFilter.prototype.filterText = function(text) {
+        if (typeof text !== 'string') {
+            return text;
+        }
+        text = this.scrub(text);
+        if (this.maxTextLength > 0 && text.length > this.maxTextLength) {
+            text = text.slice(0, this.maxTextLength) + '…';
+        }
+        return text;
+    };
+
+    // Redact element data built for an element. Returns null when the element is ignored.
+    PrivacyFilter.prototype.filter = function(element, elementData) {
+        var self = this;
+        if (this.isIgnored(element)) {
+            return null;
+        }
+
+        var masked = this.isMasked(element);
+        var sensitive = this.isSensitiveField(element);
+
+        if (masked) {
+            elementData.text = elementData.text ? this.maskText : elementData.text;
+        } else {
+            elementData.text = this.filterText(elementData.text);
+        }
+        if (masked || sensitive) {
+            elementData.value = elementData.value ? this.maskText : elementData.value;
+            if (elementData.attributes.value !== undefined) {
+                elementData.attributes.value = this.maskText;
+            }
+        } else {
+            elementData.value = this.filterText(elementData.value);
+        }
+
+        elementData.href = this.scrub(elementData.href);
+        Object.keys(elementData.attributes).forEach(function(name) {
+            if (!(name === 'value' && (masked || sensitive))) {
+                elementData.attributes[name] = self.scrub(elementData.attributes[name]);
+            }
+        });
+        return elementData;
+    };
+
+    // Whether an element is a field users type into or pick values from
+    function isFormField(element) {
+        if (!element || element.nodeType !== 1) {
+            return false;
+        }
+        var tagName = element.nodeName;
+        return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || element.isContentEditable === true;
+    }
+
+    // Name a keyboard shortcut such as 'Ctrl+Shift+K', or null for ordinary typing. Only
+    // combinations with Ctrl, Alt or Meta and the function keys count as shortcuts.
+    function describeShortcut(event) {
+        var key = event.key || '';
+        if (!key || key === 'Control' || key === 'Alt' || key === 'Meta' || key === 'Shift') {
+            return null;
+        }
+        var isFunctionKey = /^F([1-9]|1[0-9]|2[0-4])$/.test(key);
+        if (!event.ctrlKey && !event.altKey && !event.metaKey && !isFunctionKey) {
+            return null;
+        }
+
+        var parts = [];
+        if (event.ctrlKey) { parts.push('Ctrl'); }
+        if (event.altKey) { parts.push('Alt'); }
+        if (event.shiftKey) { parts.push('Shift'); }
+        if (event.metaKey) { parts.push('Meta'); }
+        parts.push(key.length === 1 ? key.toUpperCase() : key);
+        return parts.join('+');
+    }
+
+    // Interaction collectors keyed by name. Each lists the DOM events it listens to, whether
+    // they are listened to on every tracked document or only on the top window (scope), an
+    // optional throttle in ms, and handle(tracker, event), which reports the interaction
+    // through tracker.sendInteraction.
+    var interactionCollectors = {
+        click: {
+            events: ['click'],
+            throttle: 300,
+            handle: function(tracker, event) {
+                var element = getEventTarget(event);
+                var tagName = element.tagName ? element.tagName.toLowerCase() : '';
+
+                logger.debug('Element clicked:', tracker.getElementPath(element));
+
+                // Skip if clicking on body or document, or inside an ignored zone
+                if (tagName === 'body' || tagName === 'html' || tracker.privacyFilter.isIgnored(element)) {
+                    return;
+                }
+
+                // Highlight the clicked element temporarily
+                tracker.highlightElement(element);
+
+                // Send element data
+                tracker.sendElementData(element);
+            }
+        },
+        input: {
+            events: ['focusin', 'focusout'],
+            handle: function(tracker, event) {
+                var element = getEventTarget(event);
+                if (isFormField(element)) {
+                    tracker.sendInteraction('element-input', element, {
+                        interaction: event.type === 'focusin' ? 'focus' : 'blur'
+                    });
+                }
+            }
+        },
+        change: {
+            events: ['change'],
+            handle: function(tracker, event) {
+                var element = getEventTarget(event);
+                if (!isFormField(element)) {
+                    return;
+                }
+                var isCheckable = element.type === 'checkbox' || element.type === 'radio';
+                tracker.sendInteraction('element-change', element, {
+                    checked: isCheckable ? element.checked : null
+                });
+            }
+        },
+        submit: {
+            events: ['submit'],
+            handle: function(tracker, event) {
+                var form = getEventTarget(event);
+                if (!form || form.nodeName !== 'FORM') {
+                    return;
+                }
+                tracker.sendInteraction('form-submit', form, {
+                    fieldCount: form.elements ? form.elements.length : 0,
+                    submitter: event.submitter ? tracker.getUniqueSelector(event.submitter) : null
+                });
+            }
+        },
+        scroll: {
+            events: ['scroll'],
+            scope: 'window',
+            throttle: 200,
+            handle: function(tracker) {
+                tracker.recordScrollDepth();
+            }
+        },
+        keyboard: {
+            events: ['keydown'],
+            handle: function(tracker, event) {
+                var shortcut = describeShortcut(event);
+                if (shortcut) {
+                    tracker.sendInteraction('key-shortcut', getEventTarget(event), {
+                        shortcut: shortcut,
+                        key: event.key
+                    });
+                }
+            }
+        }
+    };
+
+    // Element Clicking Tracker Class
+    function ElementClickingTracker() {
+        this.enabled = false;
+        this.collectors = ['click']; // Names of the collectors to run; the others are opt-in
+        this.listeners = []; // { target, type, listener, capture } registered while enabled
+        this.frameLoadHandler = null;
+        this.trackedDocuments = []; // The page and any same-origin iframe documents listened to
+        this.scrollDepth = { location: null, max: 0 }; // Deepest scroll on the current page
+        this.scrollDepthThresholds = [25, 50, 75, 100]; // Percentages reported once per page
+        this.websocketService = null; // Will be set later
+        this.highlightLayer = null; // Will be set later
+        // Attributes that stay stable across releases, preferred when building selectors
+        this.stableAttributes = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+        this.privacyFilter = new PrivacyFilter();
+        this.root = null; // Element tracking is confined to; null for the whole page
+    }
+
+    ElementClickingTracker.prototype.enable = function() {
+        if (this.enabled) {
+            return;
+        }
+
+        var self = this;
+        this.enabled = true;
+
+        // Frames finishing loading (new ones, or existing ones navigating) get listeners too.
+        // load does not bubble, but a capturing listener still sees it.
+        this.frameLoadHandler = function(event) {
+            var target = event.target;
+            if (target && (target.nodeName === 'IFRAME' || target.nodeName === 'FRAME')) {
+                var frameDocument = getInnerScope(target);
+                if (frameDocument && !frameDocument.host) {
+                    self.attachToDocument(frameDocument);
+                }
+            }
+        };
+
+        logger.info('Element tracking enabled (' + this.collectors.join(', ') + ')');
+        this.attachToDocument(document);
+    };
+
+    // Listen for interactions in a document and, recursively, in its same-origin iframes
+    ElementClickingTracker.prototype.attachToDocument = function(doc) {
+        var self = this;
+        if (this.trackedDocuments.indexOf(doc) !== -1) {
+            return;
+        }
+        this.trackedDocuments.push(doc);
+        this.addListener(doc, 'load', this.frameLoadHandler, true);
+
+        this.collectors.forEach(function(name) {
+            var collector = interactionCollectors[name];
+            if (!collector) {
+                return;
+            }
+            var target = doc;
+            if (collector.scope === 'window') {
+                if (doc !== document) {
+                    return; // Window-level collectors only watch the top page
+                }
+                target = window;
+            }
+
+            var listener = function(event) {
+                // Page-level collectors (scroll) report whatever the root; the rest only
+                // report interactions inside it
+                if (collector.scope !== 'window' && !self.isInScope(getEventTarget(event))) {
+                    return;
+                }
+                collector.handle(self, event);
+            };
+            if (collector.throttle) {
+                listener = throttle(listener, collector.throttle);
+            }
+            collector.events.forEach(function(type) {
+                self.addListener(target, type, listener, false);
+            });
+        });
+
+        toArray(doc.querySelectorAll('iframe, frame')).forEach(function(frame) {
+            var frameDocument = getInnerScope(frame);
+            if (frameDocument && !frameDocument.host) {
+                self.attachToDocument(frameDocument);
+            }
+        });
+    };
+
+    // Whether an element is inside the tracker's root (always true without one)
+    ElementClickingTracker.prototype.isInScope = function(element) {
+        return isWithinRoot(this.root, element);
+    };
+
+    // Register a listener so disable() can remove it again
+    ElementClickingTracker.prototype.addListener = function(target, type, listener, capture) {
+        target.addEventListener(type, listener, capture);
+        this.listeners.push({ target: target, type: type, listener: listener, capture: capture });
+    };
+
+    ElementClickingTracker.prototype.disable = function() {
+        if (!this.enabled) {
+            return;
+        }
+
+        this.enabled = false;
+
+        this.listeners.forEach(function(entry) {
+            entry.target.removeEventListener(entry.type, entry.listener, entry.capture);
+        });
+        this.listeners = [];
+        this.trackedDocuments = [];
+        this.frameLoadHandler = null;
+
+        logger.info('Element tracking disabled');
+    };
+
+    // Choose which interaction collectors run, e.g. ['click', 'submit']
+    ElementClickingTracker.prototype.setCollectors = function(names) {
+        var valid = (Array.isArray(names) ? names : []).filter(function(name) {
+            if (!interactionCollectors[name]) {
+                logger.warn('⚠️ Unknown interaction collector: ' + name);
+                return false;
+            }
+            return true;
+        });
+
+        this.collectors = valid;
+        // Re-attach so the new set takes effect straight away
+        if (this.enabled) {
+            this.disable();
+            this.enable();
+        }
+    };
+
+    // Report the deepest scroll position reached on the current page whenever it crosses
+    // one of the thresholds for the first time
+    ElementClickingTracker.prototype.recordScrollDepth = function() {
+        var location = window.location.pathname;
+        if (this.scrollDepth.location !== location) {
+            this.scrollDepth = { location: location, max: 0 };
+        }
+
+        var root = document.documentElement;
+        var scrollTop = window.pageYOffset || root.scrollTop || 0;
+        var viewportHeight = window.innerHeight || root.clientHeight || 0;
+        var pageHeight = Math.max(root.scrollHeight, document.body ? document.body.scrollHeight : 0);
+        var depth = pageHeight <= viewportHeight ? 100 :
+            Math.min(100, Math.round((scrollTop + viewportHeight) / pageHeight * 100));
+
+        var previous = this.scrollDepth.max;
+        if (depth <= previous) {
+            return;
+        }
+        this.scrollDepth.max = depth;
+
+        var crossed = this.scrollDepthThresholds.filter(function(threshold) {
+            return threshold > previous && threshold <= depth;
+        });
+        if (crossed.length) {
+            this.websocketService.sendInteraction('scroll-depth', {
+                depth: depth,
+                threshold: crossed[crossed.length - 1],
+                location: location,
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    ElementClickingTracker.prototype.getElementPath = function(element) {
+        return buildElementPath(element);
+    };
+
+    // Short selector that is verified to match only this element
+    ElementClickingTracker.prototype.getUniqueSelector = function(element) {
+        return buildUniqueSelector(element, this.stableAttributes);
+    };
+
+    // Replace the list of attributes preferred when building selectors
+    ElementClickingTracker.prototype.setStableAttributes = function(attributes) {
+        this.stableAttributes = Array.isArray(attributes) ? attributes.slice() : [];
+    };
+
+    // Function to highlight a clicked element temporarily, drawn in the overlay layer
+    ElementClickingTracker.prototype.highlightElement = function(element, options) {
+        if (!element || element.nodeType !== 1 || !this.highlightLayer) {
+            return;
+        }
+        this.highlightLayer.highlight(element, options);
+    };
+
+    // Describe an element for the server: tag, attributes, text, value and selectors, redacted
+    // by the privacy filter. Returns null for elements inside data-et-ignore zones.
+    ElementClickingTracker.prototype.buildElementData = function(element) {
+        var tagName = element.tagName ? element.tagName.toLowerCase() : '';
+        var id = element.id || null;
+        var className = element.className || null;
+        
+        // Extract attributes
+        var attributes = {};
+        if (element.attributes) {
+            for (var i = 0; i < element.attributes.length; i++) {
+                var attr = element.attributes[i];
+                if (attr.name !== 'class' && attr.name !== 'id' && attr.name !== 'style') {
+                    attributes[attr.name] = attr.value;
+                }
+            }
+        }
+        
+        var elementData = {
             tagName: tagName,
             id: id,
             className: className,
-            nodeName: element.nodeName,
-            nodeType: element.nodeType
+            text: element.innerText || element.textContent || null,
+            href: element.href || null,
+            value: element.value || null,
+            attributes: attributes,
+            location: window.location.pathname,
+            timestamp: new Date().toISOString(),
+            path: this.getElementPath(element),
+            selector: this.getUniqueSelector(element),
+            fullPath: buildPositionalPath(element)
+        };
+
+        return this.privacyFilter.filter(element, elementData);
+    };
+
+    ElementClickingTracker.prototype.sendElementData = function(element) {
+        var elementData = this.buildElementData(element);
+        if (!elementData) {
+            return;
+        }
+        
+        logger.debug('🔍 CDN: Sending element data (connected: ' + this.websocketService.isConnected + '):', elementData);
+        
+        this.websocketService.sendElementClick(elementData);
+    };
+
+    // Send an interaction with an element as a typed message, e.g. 'element-input'
+    ElementClickingTracker.prototype.sendInteraction = function(type, element, extra) {
+        var data = this.buildElementData(element);
+        if (!data) {
+            return;
+        }
+        Object.keys(extra || {}).forEach(function(key) {
+            data[key] = extra[key];
+        });
+        this.websocketService.sendInteraction(type, data);
+    };
+
+    // Attribute marking the tracker's own overlay nodes, so they are never tracked or selected
+    var OVERLAY_ATTRIBUTE = 'data-et-overlay';
+
+    // An element's rectangle relative to the top-level viewport, adding the offsets of any
+    // iframes it sits in
+    function getViewportRect(element) {
+        var rect = element.getBoundingClientRect();
+        var top = rect.top;
+        var left = rect.left;
+        var host = getScopeHost(element);
+        while (host) {
+            if (host.nodeName === 'IFRAME' || host.nodeName === 'FRAME') {
+                var frameRect = host.getBoundingClientRect();
+                top += frameRect.top + host.clientTop;
+                left += frameRect.left + host.clientLeft;
+            }
+            host = getScopeHost(host);
+        }
+        return { top: top, left: left, width: rect.width, height: rect.height };
+    }
+
+    // Overlay Box Class
+    // A fixed-position box drawn over an element without touching the element itself
+    function OverlayBox(options) {
+        options = options || {};
+        this.element = null;
+        this.color = options.color || 'rgba(0, 123, 255, 0.9)';
+        this.fill = options.fill || 'rgba(0, 123, 255, 0.12)';
+        this.offset = options.offset || 0; // Gap in px between the element and the box
+
+        this.box = document.createElement('div');
+        this.box.setAttribute(OVERLAY_ATTRIBUTE, '');
+        this.box.style.cssText = 'position: fixed; pointer-events: none; z-index: 2147483647; box-sizing: border-box; ' +
+            'display: none; margin: 0; padding: 0; border: 2px solid rgba(0, 123, 255, 0.9);';
+        // Colours may come from the dashboard, so they go through the CSSOM, which ignores
+        // invalid values, rather than into cssText where they could add declarations
+        this.box.style.borderColor = this.color;
+        this.box.style.background = this.fill;
+
+        this.label = document.createElement('div');
+        this.label.setAttribute(OVERLAY_ATTRIBUTE, '');
+        this.label.style.cssText = 'position: absolute; left: -2px; bottom: 100%; max-width: 480px; overflow: hidden; ' +
+            'white-space: nowrap; text-overflow: ellipsis; padding: 2px 6px; font: 12px/16px monospace; color: #fff; ' +
+            'background: rgba(0, 123, 255, 0.9); border-radius: 2px;';
+        this.label.style.background = this.color;
+        this.box.appendChild(this.label);
+
+        document.documentElement.appendChild(this.box);
+    }
+
+    // Draw the box over an element with an optional label
+    OverlayBox.prototype.show = function(element, labelText) {
+        this.element = element;
+        this.label.textContent = labelText || '';
+        this.label.style.display = labelText ? 'block' : 'none';
+        this.update();
+    };
+
+    // Move the box to the element's current position, e.g. after scrolling
+    OverlayBox.prototype.update = function() {
+        if (!this.element || !isAttached(this.element)) {
+            this.box.style.display = 'none';
+            return;
+        }
+        var rect = getViewportRect(this.element);
+        this.box.style.display = 'block';
+        this.box.style.top = (rect.top - this.offset) + 'px';
+        this.box.style.left = (rect.left - this.offset) + 'px';
+        this.box.style.width = (rect.width + this.offset * 2) + 'px';
+        this.box.style.height = (rect.height + this.offset * 2) + 'px';
+        // Keep the label visible when the element touches the top of the viewport
+        this.label.style.bottom = rect.top < 20 ? 'auto' : '100%';
+        this.label.style.top = rect.top < 20 ? '0' : 'auto';
+    };
+
+    OverlayBox.prototype.hide = function() {
+        this.element = null;
+        this.box.style.display = 'none';
+    };
+
+    OverlayBox.prototype.destroy = function() {
+        removeNodes([this.box]);
+        this.element = null;
+    };
+
+    // Highlight Layer Class
+    // Temporary highlights drawn as overlay boxes that follow scrolling and resizing, so the
+    // highlighted elements' own styles are never touched
+    function HighlightLayer(describe) {
+        this.color = 'rgba(0, 255, 98, 0.7)';
+        this.duration = 2000; // 0 keeps highlights until clear() is called
+        this.label = false; // true labels with the element's selector; a string is used as-is
+        this.describe = describe; // function(element) returning the selector shown in labels
+        this.root = null; // Element selectors are resolved in; null for the whole page
+        this.highlights = [];
+        this.repositionHandler = null;
+        this.isFrameRequested = false;
+    }
+
+    // Change the defaults: { color, duration, label }
+    HighlightLayer.prototype.configure = function(options) {
+        options = options || {};
+        if (options.color !== undefined) {
+            this.color = options.color;
+        }
+        if (options.duration !== undefined) {
+            this.duration = options.duration;
+        }
+        if (options.label !== undefined) {
+            this.label = options.label;
+        }
+    };
+
+    // Highlight an element. Options override the defaults for this highlight only.
+    // Highlighting an element again restarts its highlight instead of stacking a second one.
+    HighlightLayer.prototype.highlight = function(element, options) {
+        if (!element || element.nodeType !== 1 || typeof document === 'undefined') {
+            return;
+        }
+        options = options || {};
+
+        var self = this;
+        var color = options.color || this.color;
+        var duration = options.duration !== undefined ? options.duration : this.duration;
+        var label = options.label !== undefined ? options.label : this.label;
+
+        this.clear(element);
+
+        var box = new OverlayBox({ color: color, fill: 'transparent', offset: 2 });
+        box.show(element, label === true ? this.describe(element) : (label || ''));
+
+        var highlight = { element: element, box: box, timer: null };
+        if (duration > 0) {
+            highlight.timer = setTimeout(function() {
+                self.clear(element);
+            }, duration);
+        }
+        this.highlights.push(highlight);
+        this.followLayout();
+    };
+
+    // Highlight every element matching a selector. Returns how many were highlighted.
+    HighlightLayer.prototype.highlightSelector = function(selector, options) {
+        var self = this;
+        var elements;
+        try {
+            elements = querySelectorAllDeep(selector, this.root);
+        } catch (error) {
+            logger.warn('⚠️ Invalid selector: ' + selector);
+            return 0;
+        }
+        if (!elements.length) {
+            logger.warn('⚠️ Nothing to highlight for selector: ' + selector);
+        }
+        elements.forEach(function(element) {
+            self.highlight(element, options);
+        });
+        return elements.length;
+    };
+
+    // Remove the highlight from one element, or all highlights when no element is given
+    HighlightLayer.prototype.clear = function(element) {
+        this.highlights = this.highlights.filter(function(highlight) {
+            if (element && highlight.element !== element) {
+                return true;
+            }
+            clearTimeout(highlight.timer);
+            highlight.box.destroy();
+            return false;
+        });
+        this.followLayout();
+    };
+
+    // Keep boxes on their elements while highlights are showing
+    HighlightLayer.prototype.followLayout = function() {
+        var self = this;
+
+        if (this.highlights.length && !this.repositionHandler) {
+            this.repositionHandler = function() {
+                if (self.isFrameRequested) {
+                    return;
+                }
+                self.isFrameRequested = true;
+                var schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : setTimeout;
+                schedule(function() {
+                    self.isFrameRequested = false;
+                    self.highlights.forEach(function(highlight) {
+                        highlight.box.update();
+                    });
+                });
+            };
+            window.addEventListener('scroll', this.repositionHandler, true);
+            window.addEventListener('resize', this.repositionHandler);
+        } else if (!this.highlights.length && this.repositionHandler) {
+            window.removeEventListener('scroll', this.repositionHandler, true);
+            window.removeEventListener('resize', this.repositionHandler);
+            this.repositionHandler = null;
+        }
+    };
+
+    // Element Inspector Class
+    // Inspect mode: hovering outlines elements and clicking selects one without the page reacting
+    function ElementInspector(tracker) {
+        this.tracker = tracker;
+        this.enabled = false;
+        this.overlay = null;
+        this.current = null;
+        this.descendTrail = []; // Elements walked up from, so ArrowDown can retrace the path
+        this.listeners = null;
+    }
+
+    // Pointer events swallowed while inspecting so the page never sees them
+    var INSPECTOR_BLOCKED_EVENTS = ['click', 'dblclick', 'auxclick', 'contextmenu', 'mousedown', 'mouseup',
+        'pointerdown', 'pointerup', 'touchstart', 'touchend', 'submit'];
+
+    ElementInspector.prototype.enable = function() {
+        if (this.enabled || typeof document === 'undefined') {
+            return;
+        }
+
+        var self = this;
+        this.enabled = true;
+        this.overlay = new OverlayBox();
+
+        var block = function(event) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            var target = getEventTarget(event);
+            if (event.type === 'click' && self.isInspectable(target)) {
+                self.select(target);
+            }
+        };
+
+        this.listeners = {
+            mousemove: function(event) {
+                var target = getEventTarget(event);
+                if (self.isInspectable(target) && target !== self.current) {
+                    self.descendTrail = [];
+                    self.hover(target);
+                }
+            },
+            keydown: function(event) {
+                self.handleKey(event);
+            },
+            reposition: function() {
+                self.overlay.update();
+            }
+        };
+
+        INSPECTOR_BLOCKED_EVENTS.forEach(function(type) {
+            self.listeners[type] = block;
         });
-        
-        // Extract attributes
-        var attributes = {};
-        if (element.attributes) {
-            console.log('🔍 CDN: Element has', element.attributes.length, 'attributes');
-            for (var i = 0; i < element.attributes.length; i++) {
-                var attr = element.attributes[i];
-                if (attr.name !== 'class' && attr.name !== 'id' && attr.name !== 'style') {
-                    attributes[attr.name] = attr.value;
+
+        // Capture on window so the inspector runs before any of the page's own handlers
+        Object.keys(this.listeners).forEach(function(type) {
+            if (type === 'reposition') {
+                return;
+            }
+            window.addEventListener(type, self.listeners[type], true);
+        });
+        window.addEventListener('scroll', this.listeners.reposition, true);
+        window.addEventListener('resize', this.listeners.reposition);
+
+        logger.info('🔎 Inspect mode enabled (Esc to exit, arrow keys to move between elements)');
+    };
+
+    ElementInspector.prototype.disable = function() {
+        if (!this.enabled) {
+            return;
+        }
+
+        var self = this;
+        this.enabled = false;
+
+        Object.keys(this.listeners).forEach(function(type) {
+            if (type !== 'reposition') {
+                window.removeEventListener(type, self.listeners[type], true);
+            }
+        });
+        window.removeEventListener('scroll', this.listeners.reposition, true);
+        window.removeEventListener('resize', this.listeners.reposition);
+
+        this.overlay.destroy();
+        this.overlay = null;
+        this.listeners = null;
+        this.current = null;
+        this.descendTrail = [];
+
+        logger.info('🔎 Inspect mode disabled');
+    };
+
+    // Only real page elements inside the tracker's root can be inspected, never the tracker's
+    // overlay or the document itself
+    ElementInspector.prototype.isInspectable = function(element) {
+        return !!element && element.nodeType === 1 &&
+            element !== document.documentElement && element !== document.body &&
+            !element.hasAttribute(OVERLAY_ATTRIBUTE) && this.tracker.isInScope(element);
+    };
+
+    // Outline an element and label it with its tag and selector
+    ElementInspector.prototype.hover = function(element) {
+        this.current = element;
+        var rect = element.getBoundingClientRect();
+        var label = '<' + element.nodeName.toLowerCase() + '>  ' + this.tracker.getUniqueSelector(element) +
+            '  ' + Math.round(rect.width) + '×' + Math.round(rect.height);
+        this.overlay.show(element, label);
+    };
+
+    // Arrow keys walk the tree, Enter selects and Escape leaves inspect mode
+    ElementInspector.prototype.handleKey = function(event) {
+        var current = this.current;
+        var next = null;
+
+        switch (event.key) {
+            case 'Escape':
+                this.disable();
+                break;
+            case 'Enter':
+                if (current) {
+                    this.select(current);
+                }
+                break;
+            case 'ArrowUp':
+                next = current && current.parentElement;
+                if (this.isInspectable(next)) {
+                    this.descendTrail.push(current);
+                } else {
+                    next = null;
                 }
+                break;
+            case 'ArrowDown':
+                next = this.descendTrail.pop() || (current && current.firstElementChild);
+                break;
+            case 'ArrowLeft':
+                next = current && current.previousElementSibling;
+                this.descendTrail = [];
+                break;
+            case 'ArrowRight':
+                next = current && current.nextElementSibling;
+                this.descendTrail = [];
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        if (this.isInspectable(next)) {
+            this.hover(next);
+        }
+    };
+
+    // Report the chosen element exactly like a tracked click
+    ElementInspector.prototype.select = function(element) {
+        logger.debug('🔎 Inspector selected:', this.tracker.getElementPath(element));
+        this.hover(element);
+        this.tracker.sendElementData(element);
+    };
+
+    var XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+    // Attributes that only affect rendering, left unscrubbed so numbers in them survive
+    var PRESENTATION_ATTRIBUTES = ['style', 'class', 'width', 'height'];
+
+    // Session Recorder Class
+    // Opt-in recording of what the visitor saw: a snapshot of the DOM (the tracker's root, or the
+    // whole document) followed by mutations, scrolling, viewport resizes, form input and clicks,
+    // each timestamped in ms since the recording started. Events are sent in session-chunk
+    // messages. Content goes through the tracker's privacy filter: data-et-ignore subtrees are
+    // left out, text and values under data-et-mask and values of sensitive fields are masked,
+    // and everything else is scrubbed. Scripts and inline event handlers are never recorded.
+    function SessionRecorder(tracker) {
+        this.tracker = tracker;
+        this.isRecording = false;
+        this.sessionId = null;
+        this.startedAt = 0;
+        this.sequence = 0; // Number of the next chunk
+        this.events = []; // Waiting for the next chunk
+        this.chunkInterval = 5000; // Send a chunk at least this often while there are events
+        this.maxChunkEvents = 500; // Send early once this many events are waiting
+        this.layoutDelay = 100; // Scroll and resize bursts are recorded once per delay
+        this.nodeIds = null; // WeakMap of recorded nodes to their ids
+        this.placeholders = null; // WeakSet of data-et-ignore elements recorded only as empty boxes
+        this.nextNodeId = 1;
+        this.observer = null;
+        this.chunkTimer = null;
+        this.layoutTimer = null;
+        this.pendingScrolls = []; // Scrolled targets waiting for the layout timer
+        this.pendingResize = false;
+        this.listeners = [];
+    }
+
+    // Start recording: { chunkInterval, maxChunkEvents }
+    SessionRecorder.prototype.start = function(options) {
+        var self = this;
+        if (this.isRecording || typeof document === 'undefined') {
+            return;
+        }
+        options = options || {};
+        if (options.chunkInterval !== undefined) {
+            this.chunkInterval = options.chunkInterval;
+        }
+        if (options.maxChunkEvents !== undefined) {
+            this.maxChunkEvents = Math.max(1, options.maxChunkEvents);
+        }
+
+        this.isRecording = true;
+        this.sessionId = randomId();
+        this.sequence = 0;
+        this.events = [];
+        this.nodeIds = new WeakMap();
+        this.placeholders = new WeakSet();
+        this.nextNodeId = 1;
+
+        this.recordSnapshot();
+
+        if (typeof MutationObserver !== 'undefined') {
+            this.observer = new MutationObserver(function(records) {
+                self.recordMutations(records);
+            });
+            this.observer.observe(this.getRoot(), {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                characterData: true
+            });
+        }
+
+        this.addListener(document, 'scroll', function(event) {
+            self.queueLayout(event.target);
+        }, true);
+        this.addListener(window, 'resize', function() {
+            self.queueLayout(null);
+        }, false);
+        ['input', 'change'].forEach(function(type) {
+            self.addListener(document, type, function(event) {
+                self.recordInput(getEventTarget(event));
+            }, true);
+        });
+        this.addListener(document, 'click', function(event) {
+            var id = self.getInteractionId(getEventTarget(event));
+            if (id) {
+                self.push({ type: 'click', id: id, x: event.clientX, y: event.clientY });
             }
-        } else {
-            console.log('🔍 CDN: Element has no attributes');
+        }, true);
+        // Whatever is waiting goes out before the page is unloaded
+        this.addListener(window, 'pagehide', function() {
+            self.flush();
+        }, false);
+
+        this.chunkTimer = setInterval(function() {
+            self.flush();
+        }, this.chunkInterval);
+
+        logger.info('⏺️ Session recording started: ' + this.sessionId);
+    };
+
+    // Stop recording and send what is left
+    SessionRecorder.prototype.stop = function() {
+        if (!this.isRecording) {
+            return;
         }
-        
-        var elementData = {
-            tagName: tagName,
-            id: id,
-            className: className,
-            text: element.innerText || element.textContent || null,
-            href: element.href || null,
-            value: element.value || null,
-            attributes: attributes,
+        this.recordLayout();
+        this.flush();
+        this.isRecording = false;
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.listeners.forEach(function(entry) {
+            entry.target.removeEventListener(entry.type, entry.listener, entry.capture);
+        });
+        this.listeners = [];
+        clearInterval(this.chunkTimer);
+        clearTimeout(this.layoutTimer);
+        this.chunkTimer = null;
+        this.layoutTimer = null;
+        this.nodeIds = null;
+        this.placeholders = null;
+
+        logger.info('⏹️ Session recording stopped: ' + this.sessionId);
+    };
+
+    SessionRecorder.prototype.addListener = function(target, type, listener, capture) {
+        target.addEventListener(type, listener, capture);
+        this.listeners.push({ target: target, type: type, listener: listener, capture: capture });
+    };
+
+    // The recorded element: the tracker's root, or the whole document
+    SessionRecorder.prototype.getRoot = function() {
+        return this.tracker.root || document.documentElement;
+    };
+
+    // Add an event to the stream, sending a chunk once enough are waiting
+    SessionRecorder.prototype.push = function(event) {
+        event.time = Date.now() - this.startedAt;
+        this.events.push(event);
+        if (this.events.length >= this.maxChunkEvents) {
+            this.flush();
+        }
+    };
+
+    // Send the waiting events as the next session-chunk
+    SessionRecorder.prototype.flush = function() {
+        if (!this.events.length) {
+            return;
+        }
+        var events = this.events;
+        this.events = [];
+        this.tracker.websocketService.sendInteraction('session-chunk', {
+            sessionId: this.sessionId,
+            sequence: this.sequence++,
+            startedAt: new Date(this.startedAt).toISOString(),
             location: window.location.pathname,
-            timestamp: new Date().toISOString(),
-            path: this.getElementPath(element)
+            events: events
+        });
+    };
+
+    // The id of a node that is part of the recording, or null
+    SessionRecorder.prototype.getRecordedId = function(node) {
+        return (node && this.nodeIds.get(node)) || null;
+    };
+
+    // The id of an element whose clicks, input and scrolling may be recorded: never one in an
+    // ignored zone, including the placeholder standing in for the zone itself
+    SessionRecorder.prototype.getInteractionId = function(element) {
+        if (!element || element.nodeType !== 1 || this.placeholders.has(element) || this.tracker.privacyFilter.isIgnored(element)) {
+            return null;
+        }
+        return this.getRecordedId(element);
+    };
+
+    // Record the full starting state. A recording scoped to a root also carries the document's
+    // head, so the replay gets the page's styles.
+    SessionRecorder.prototype.recordSnapshot = function() {
+        var root = this.getRoot();
+        var isDocument = root === document.documentElement;
+        var snapshot = {
+            type: 'snapshot',
+            document: isDocument,
+            node: this.serializeNode(root, this.tracker.privacyFilter.isMasked(root)),
+            head: isDocument || !document.head ? null : this.serializeNode(document.head, false),
+            baseUrl: document.baseURI,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            scrollX: window.pageXOffset || 0,
+            scrollY: window.pageYOffset || 0
         };
-        
-        console.log('🔍 CDN: Constructed elementData:', elementData);
-        console.log('🔍 CDN: About to send via WebSocket, connected:', this.websocketService.isConnected);
-        
-        this.websocketService.sendElementClick(elementData);
+        // The clock starts once the snapshot is taken, so it is always at time 0
+        this.startedAt = Date.now();
+        this.push(snapshot);
     };
 
-    // Create instances
-    var websocketService = new WebSocketService();
-    var elementTracker = new ElementClickingTracker();
-    
-    // Link the websocket service to element tracker
-    elementTracker.websocketService = websocketService;
+    // Describe a node and its subtree for the stream, assigning ids as it goes. masked is true
+    // when the node sits under data-et-mask. Returns null for nodes that are not recorded.
+    SessionRecorder.prototype.serializeNode = function(node, masked) {
+        var self = this;
+        var filter = this.tracker.privacyFilter;
+        var id = this.nextNodeId++;
 
-    // Initialize with debug logging
-    console.log('🔧 ElementTracker CDN: Initializing...');
-    console.log('🌐 Environment check:', {
-        hasWindow: typeof window !== 'undefined',
-        hasDocument: typeof document !== 'undefined',
-        hasWebSocket: typeof WebSocket !== 'undefined'
-    });
-    
-    // Environment compatibility checks
-    if (typeof window === 'undefined') {
-        console.warn('⚠️ ElementTracker CDN: No window object detected - may not work in non-browser environments');
+        if (node.nodeType === 3) {
+            this.nodeIds.set(node, id);
+            return { id: id, type: 3, text: this.filterText(node) };
+        }
+        if (node.nodeType === 8) {
+            this.nodeIds.set(node, id);
+            return { id: id, type: 8 };
+        }
+        if (node.nodeType !== 1 || node.hasAttribute(OVERLAY_ATTRIBUTE)) {
+            return null;
+        }
+
+        this.nodeIds.set(node, id);
+        var tagName = node.nodeName.toLowerCase();
+        var data = { id: id, type: 1, tag: tagName, attributes: {}, children: [] };
+        if (node.namespaceURI && node.namespaceURI !== XHTML_NAMESPACE) {
+            data.namespace = node.namespaceURI;
+        }
+        if (tagName === 'script') {
+            return data; // Kept in place as an empty element so siblings line up
+        }
+
+        // Ignored zones become empty boxes of the same size, so the replay's layout still
+        // matches; only their presentation attributes are kept
+        if (node.hasAttribute(filter.ignoreAttribute)) {
+            this.placeholders.add(node);
+            var rect = node.getBoundingClientRect();
+            data.attributes[filter.ignoreAttribute] = '';
+            PRESENTATION_ATTRIBUTES.forEach(function(name) {
+                if (node.hasAttribute(name)) {
+                    data.attributes[name] = node.getAttribute(name);
+                }
+            });
+            data.ignored = { width: Math.round(rect.width), height: Math.round(rect.height) };
+            return data;
+        }
+
+        masked = masked || node.hasAttribute(filter.maskAttribute);
+        for (var i = 0; i < node.attributes.length; i++) {
+            var attribute = node.attributes[i];
+            var value = this.filterAttribute(node, attribute.name, attribute.value, masked);
+            if (value !== null) {
+                data.attributes[attribute.name] = value;
+            }
+        }
+
+        if (isFormField(node) && node.value !== undefined) {
+            data.value = this.filterValue(node, node.value, masked);
+            if (node.type === 'checkbox' || node.type === 'radio') {
+                data.checked = !!node.checked;
+            }
+        }
+
+        toArray(node.childNodes).forEach(function(child) {
+            var childData = self.serializeNode(child, masked);
+            if (childData) {
+                data.children.push(childData);
+            }
+        });
+        return data;
+    };
+
+    // Text as recorded: masked under data-et-mask, scrubbed elsewhere. Style sheets are kept as-is.
+    SessionRecorder.prototype.filterText = function(node) {
+        var text = node.nodeValue || '';
+        var parent = node.parentNode;
+        if (parent && parent.nodeName === 'STYLE') {
+            return text;
+        }
+        if (parent && parent.nodeType === 1 && this.tracker.privacyFilter.isMasked(parent)) {
+            return text.trim() ? this.tracker.privacyFilter.maskText : text;
+        }
+        return this.tracker.privacyFilter.scrub(text);
+    };
+
+    // A form value as recorded: masked for sensitive fields and under data-et-mask
+    SessionRecorder.prototype.filterValue = function(element, value, masked) {
+        var filter = this.tracker.privacyFilter;
+        if (masked || filter.isSensitiveField(element)) {
+            return value ? filter.maskText : value;
+        }
+        return filter.scrub(value);
+    };
+
+    // An attribute value as recorded, or null when the attribute is left out. SVG geometry
+    // is kept as-is for the same reason as presentation attributes.
+    SessionRecorder.prototype.filterAttribute = function(element, name, value, masked) {
+        if (/^on/i.test(name)) {
+            return null;
+        }
+        if (name === 'value') {
+            return this.filterValue(element, value, masked);
+        }
+        if (PRESENTATION_ATTRIBUTES.indexOf(name) !== -1 || (element.namespaceURI && element.namespaceURI !== XHTML_NAMESPACE)) {
+            return value;
+        }
+        return this.tracker.privacyFilter.scrub(value);
+    };
+
+    // Turn a burst of DOM mutations into one event: removals first, then additions (each with
+    // the id of the recorded sibling it goes before), attribute and text changes
+    SessionRecorder.prototype.recordMutations = function(records) {
+        var self = this;
+        var filter = this.tracker.privacyFilter;
+        var event = { type: 'mutation', removes: [], adds: [], attributes: [], texts: [] };
+        var added = [];
+
+        records.forEach(function(record) {
+            var target = record.target;
+            if (target.nodeType === 1 && (filter.isIgnored(target) || target.hasAttribute(OVERLAY_ATTRIBUTE))) {
+                return;
+            }
+            var targetId = self.getRecordedId(target);
+            if (record.type === 'childList') {
+                toArray(record.removedNodes).forEach(function(node) {
+                    var id = self.getRecordedId(node);
+                    if (id && targetId) {
+                        event.removes.push({ parentId: targetId, id: id });
+                        self.nodeIds.delete(node);
+                    }
+                });
+                toArray(record.addedNodes).forEach(function(node) {
+                    if (added.indexOf(node) === -1) {
+                        added.push(node);
+                    }
+                });
+            } else if (record.type === 'attributes' && targetId) {
+                var value = target.getAttribute(record.attributeName);
+                if (value !== null) {
+                    value = self.filterAttribute(target, record.attributeName, value, filter.isMasked(target));
+                    if (value === null) {
+                        return;
+                    }
+                }
+                event.attributes.push({ id: targetId, name: record.attributeName, value: value });
+            } else if (record.type === 'characterData' && targetId) {
+                event.texts.push({ id: targetId, text: self.filterText(target) });
+            }
+        });
+
+        // Nodes still in place, not inside another added node (which records them already),
+        // handled last to first so the sibling each goes before is already known
+        added = added.filter(function(node) {
+            var parent = node.parentNode;
+            return parent && isAttached(node) && self.getRecordedId(parent) && !added.some(function(other) {
+                return other !== node && other.contains(node);
+            });
+        }).sort(function(a, b) {
+            return a.compareDocumentPosition(b) & 4 ? 1 : -1; // b follows a: handle b first
+        });
+        added.forEach(function(node) {
+            var parent = node.parentNode;
+            var data = self.serializeNode(node, parent.nodeType === 1 && filter.isMasked(parent));
+            if (!data) {
+                return;
+            }
+            var next = node.nextSibling;
+            while (next && !self.getRecordedId(next)) {
+                next = next.nextSibling;
+            }
+            event.adds.push({ parentId: self.getRecordedId(parent), nextId: self.getRecordedId(next), node: data });
+        });
+
+        if (event.removes.length || event.adds.length || event.attributes.length || event.texts.length) {
+            this.push(event);
+        }
+    };
+
+    // Record a form field's new value or checked state
+    SessionRecorder.prototype.recordInput = function(element) {
+        var id = this.getInteractionId(element);
+        if (!id || !isFormField(element) || element.value === undefined) {
+            return;
+        }
+        var event = { type: 'input', id: id, value: this.filterValue(element, element.value, this.tracker.privacyFilter.isMasked(element)) };
+        if (element.type === 'checkbox' || element.type === 'radio') {
+            event.checked = !!element.checked;
+        }
+        this.push(event);
+    };
+
+    // Note a scroll (target is the scrolled element or the document) or, with null, a resize,
+    // and record the resulting layout once the burst has settled
+    SessionRecorder.prototype.queueLayout = function(target) {
+        var self = this;
+        if (target === null) {
+            this.pendingResize = true;
+        } else if (this.pendingScrolls.indexOf(target) === -1) {
+            this.pendingScrolls.push(target);
+        }
+        if (!this.layoutTimer) {
+            this.layoutTimer = setTimeout(function() {
+                self.layoutTimer = null;
+                self.recordLayout();
+            }, this.layoutDelay);
+        }
+    };
+
+    SessionRecorder.prototype.recordLayout = function() {
+        var self = this;
+        if (this.pendingResize) {
+            this.push({ type: 'resize', width: window.innerWidth, height: window.innerHeight });
+        }
+        this.pendingScrolls.forEach(function(target) {
+            if (target === document || target === document.documentElement) {
+                self.push({ type: 'scroll', id: null, x: window.pageXOffset || 0, y: window.pageYOffset || 0 });
+                return;
+            }
+            var id = self.getInteractionId(target);
+            if (id) {
+                self.push({ type: 'scroll', id: id, x: target.scrollLeft, y: target.scrollTop });
+            }
+        });
+        this.pendingResize = false;
+        this.pendingScrolls = [];
+    };
+
+    // Session Replayer Class
+    // Rebuilds a recorded session inside an iframe for the dashboard. The iframe is sandboxed
+    // without allow-scripts, so nothing from the recorded page can run.
+    function SessionReplayer(container, chunks) {
+        this.container = container;
+        this.iframe = null;
+        this.events = [];
+        this.nodes = new Map(); // Recorded node ids to the rebuilt nodes
+        this.position = 0; // Index of the next event to apply
+        this.currentTime = 0;
+        this.speed = 1;
+        this.timer = null;
+        this.load(chunks || []);
+    }
+
+    // Load session-chunk data, in any order; chunks are sorted by sequence. Starts over at 0.
+    SessionReplayer.prototype.load = function(chunks) {
+        var events = [];
+        chunks.slice().sort(function(a, b) {
+            return a.sequence - b.sequence;
+        }).forEach(function(chunk) {
+            events = events.concat(chunk.events || []);
+        });
+        this.events = events;
+        this.goto(0);
+    };
+
+    // Length of the session in ms
+    SessionReplayer.prototype.getDuration = function() {
+        return this.events.length ? this.events[this.events.length - 1].time : 0;
+    };
+
+    // Show the session as it was at a time (ms)
+    SessionReplayer.prototype.goto = function(time) {
+        this.pause();
+        this.reset();
+        this.position = 0;
+        while (this.position < this.events.length && this.events[this.position].time <= time) {
+            this.applyEvent(this.events[this.position++]);
+        }
+        this.currentTime = time;
+    };
+
+    // Play from the current time at a speed (1 is real time)
+    SessionReplayer.prototype.play = function(speed) {
+        this.pause();
+        this.speed = speed || 1;
+        if (this.position >= this.events.length) {
+            this.goto(0);
+        }
+        this.scheduleNext();
+    };
+
+    SessionReplayer.prototype.pause = function() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    };
+
+    SessionReplayer.prototype.scheduleNext = function() {
+        var self = this;
+        var event = this.events[this.position];
+        if (!event) {
+            return;
+        }
+        this.timer = setTimeout(function() {
+            self.position++;
+            self.currentTime = event.time;
+            self.applyEvent(event);
+            self.scheduleNext();
+        }, Math.max(0, (event.time - this.currentTime) / this.speed));
+    };
+
+    SessionReplayer.prototype.destroy = function() {
+        this.pause();
+        removeNodes(this.iframe ? [this.iframe] : []);
+        this.iframe = null;
+        this.nodes = new Map();
+    };
+
+    // Create the sandboxed iframe on first use and empty it
+    SessionReplayer.prototype.reset = function() {
+        if (!this.iframe) {
+            this.iframe = document.createElement('iframe');
+            this.iframe.setAttribute('sandbox', 'allow-same-origin');
+            this.iframe.style.cssText = 'border: 0; background: #fff;';
+            this.container.appendChild(this.iframe);
+        }
+        var doc = this.iframe.contentDocument;
+        doc.open();
+        doc.write('<!DOCTYPE html><html><head></head><body></body></html>');
+        doc.close();
+        this.nodes = new Map();
+    };
+
+    SessionReplayer.prototype.applyEvent = function(event) {
+        var self = this;
+        var doc = this.iframe.contentDocument;
+        var node;
+
+        if (event.type === 'snapshot') {
+            var root = this.buildNode(event.node);
+            if (event.document) {
+                doc.replaceChild(root, doc.documentElement);
+            } else {
+                if (event.head) {
+                    doc.documentElement.replaceChild(this.buildNode(event.head), doc.head);
+                }
+                doc.body.appendChild(root);
+            }
+            var base = doc.createElement('base');
+            base.setAttribute('href', event.baseUrl);
+            (doc.head || doc.documentElement).insertBefore(base, (doc.head || doc.documentElement).firstChild);
+            this.resize(event.width, event.height);
+            this.iframe.contentWindow.scrollTo(event.scrollX, event.scrollY);
+        } else if (event.type === 'mutation') {
+            event.removes.forEach(function(change) {
+                removeNodes(self.nodes.has(change.id) ? [self.nodes.get(change.id)] : []);
+            });
+            event.adds.forEach(function(change) {
+                var parent = self.nodes.get(change.parentId);
+                var next = change.nextId ? self.nodes.get(change.nextId) : null;
+                if (parent) {
+                    parent.insertBefore(self.buildNode(change.node), next && next.parentNode === parent ? next : null);
+                }
+            });
+            event.attributes.forEach(function(change) {
+                node = self.nodes.get(change.id);
+                if (node && change.value === null) {
+                    node.removeAttribute(change.name);
+                } else if (node) {
+                    self.setAttribute(node, change.name, change.value);
+                }
+            });
+            event.texts.forEach(function(change) {
+                node = self.nodes.get(change.id);
+                if (node) {
+                    node.nodeValue = change.text;
+                }
+            });
+        } else if (event.type === 'scroll') {
+            node = event.id ? this.nodes.get(event.id) : null;
+            if (!event.id) {
+                this.iframe.contentWindow.scrollTo(event.x, event.y);
+            } else if (node) {
+                node.scrollLeft = event.x;
+                node.scrollTop = event.y;
+            }
+        } else if (event.type === 'resize') {
+            this.resize(event.width, event.height);
+        } else if (event.type === 'input') {
+            node = this.nodes.get(event.id);
+            if (node) {
+                node.value = event.value;
+                if (event.checked !== undefined) {
+                    node.checked = event.checked;
+                }
+            }
+        } else if (event.type === 'click') {
+            this.showClick(event.x, event.y);
+        }
+    };
+
+    // Rebuild a recorded node and its subtree in the replay document
+    SessionReplayer.prototype.buildNode = function(data) {
+        var self = this;
+        var doc = this.iframe.contentDocument;
+        var node;
+
+        if (data.type === 3) {
+            node = doc.createTextNode(data.text);
+        } else if (data.type === 8) {
+            node = doc.createComment('');
+        } else {
+            node = data.namespace ? doc.createElementNS(data.namespace, data.tag) : doc.createElement(data.tag);
+            Object.keys(data.attributes).forEach(function(name) {
+                self.setAttribute(node, name, data.attributes[name]);
+            });
+            if (data.ignored) {
+                node.style.width = data.ignored.width + 'px';
+                node.style.height = data.ignored.height + 'px';
+                node.style.background = 'repeating-linear-gradient(45deg, #eee, #eee 8px, #ddd 8px, #ddd 16px)';
+            }
+            data.children.forEach(function(child) {
+                node.appendChild(self.buildNode(child));
+            });
+            if (data.value !== undefined) {
+                node.value = data.value;
+            }
+            if (data.checked !== undefined) {
+                node.checked = data.checked;
+            }
+        }
+
+        this.nodes.set(data.id, node);
+        return node;
+    };
+
+    // Set a recorded attribute, skipping names the browser rejects and event handlers
+    SessionReplayer.prototype.setAttribute = function(node, name, value) {
+        if (/^on/i.test(name)) {
+            return;
+        }
+        try {
+            node.setAttribute(name, value);
+        } catch (error) {
+            // Names that were valid in the recorded document's parser may not be here
+        }
+    };
+
+    SessionReplayer.prototype.resize = function(width, height) {
+        this.iframe.style.width = width + 'px';
+        this.iframe.style.height = height + 'px';
+    };
+
+    // Flash a dot where a click happened
+    SessionReplayer.prototype.showClick = function(x, y) {
+        var doc = this.iframe.contentDocument;
+        var dot = doc.createElement('div');
+        dot.setAttribute(OVERLAY_ATTRIBUTE, '');
+        dot.style.cssText = 'position: fixed; z-index: 2147483647; pointer-events: none; width: 20px; height: 20px; ' +
+            'margin: -10px 0 0 -10px; border-radius: 50%; background: rgba(255, 59, 48, 0.6); left: ' + x + 'px; top: ' + y + 'px;';
+        doc.body.appendChild(dot);
+        setTimeout(function() {
+            removeNodes([dot]);
+        }, 500);
+    };
+
+    // Channel name on every frame bridge message, so other postMessage traffic is ignored
+    var BRIDGE_CHANNEL = 'element-tracker';
+
+    // Plain description of an applied injection, without the element, for the bridge
+    function describeInjection(entry) {
+        return {
+            id: entry.id,
+            action: entry.action,
+            selector: entry.selector,
+            status: entry.status,
+            matchedBy: entry.matchedBy,
+            matchedSelector: entry.matchedSelector,
+            instruction: entry.instruction,
+            timestamp: entry.timestamp
+        };
     }
-    
-    if (typeof WebSocket === 'undefined') {
-        console.warn('⚠️ ElementTracker CDN: No WebSocket support detected - connection features will not work');
+
+    // Check the signature of bridge params the way the matching server message is checked.
+    // Returns a promise rejected with the problem when the params must not be acted on.
+    function verifyBridgeParams(instance, params) {
+        return instance.websocketService.verifyInstruction(params).then(function(problem) {
+            if (problem) {
+                throw new Error(problem);
+            }
+        });
     }
 
-    // Public API
-    var ElementTrackerAPI = {
-        // Main methods
-        enableElementTracking: function() {
-            elementTracker.enable();
-        },
-        
-        // Alias for backward compatibility
-        startTracking: function() {
-            elementTracker.enable();
-        },
-        
-        disableElementTracking: function() {
-            elementTracker.disable();
-        },
-        
-        // Alias for backward compatibility  
-        stopTracking: function() {
-            elementTracker.disable();
-        },
-        
-        connect: function(url) {
-            websocketService.connect(url);
-        },
-        
-        disconnect: function() {
-            websocketService.disconnect();
-        },
-        
-        // WebSocket callback methods
-        onElementClick: function(callback) {
-            websocketService.onElementClick(callback);
-        },
-        
-        onInstruction: function(callback) {
-            websocketService.onInstruction(callback);
-        },
-        
-        // Element data methods
-        sendElementClick: function(elementData) {
-            websocketService.sendElementClick(elementData);
-        },
-        
-        // Injection management methods
-        getInjections: function() {
-            return websocketService.getInjections();
-        },
-        
-        // Instruction handling methods (manual execution)
-        handleInstruction: function(instruction) {
-            return websocketService.handleInstruction(instruction);
+    // Commands the admin dashboard can send through the frame bridge, keyed by name. run(instance,
+    // params) returns the result (or a promise for it); params are checked against the
+    // messageSchemas entry named by schema, or by validate(params) returning a problem.
+    var bridgeCommands = {
+        hello: {
+            run: function(instance) {
+                return {
+                    protocolVersion: PROTOCOL_VERSION,
+                    version: VERSION,
+                    url: window.location.href,
+                    isConnected: instance.isConnected,
+                    isTrackingEnabled: instance.isTrackingEnabled
+                };
+            }
         },
-        
-        shouldApplyInstruction: function(instruction) {
-            return websocketService.shouldApplyInstruction(instruction);
+        'enable-tracking': {
+            run: function(instance) {
+                instance.enableElementTracking();
+                return { enabled: instance.isTrackingEnabled };
+            }
         },
-        
-        appendHTML: function(instruction) {
-            return websocketService.appendHTML(instruction);
+        'disable-tracking': {
+            run: function(instance) {
+                instance.disableElementTracking();
+                return { enabled: instance.isTrackingEnabled };
+            }
         },
-        
-        replaceHTML: function(instruction) {
-            return websocketService.replaceHTML(instruction);
+        'set-preview': {
+            validate: function(params) {
+                return typeof params.enabled === 'boolean' ? null : 'enabled must be a boolean';
+            },
+            run: function(instance, params) {
+                instance.setDynaDubbing(params.enabled);
+                return { enabled: instance.getDynaDubbing() };
+            }
         },
-        
-        removeElement: function(instruction) {
-            return websocketService.removeElement(instruction);
+        highlight: {
+            schema: 'highlight-element',
+            run: function(instance, params) {
+                return verifyBridgeParams(instance, params).then(function() {
+                    if (params.clear) {
+                        instance.clearHighlights();
+                        return { count: 0 };
+                    }
+                    return {
+                        count: instance.highlightSelector(params.selector, {
+                            color: params.color,
+                            duration: params.duration,
+                            label: params.label
+                        })
+                    };
+                });
+            }
         },
-        
-        // Connection management methods
-        resetConnectionAttempts: function() {
-            websocketService.resetConnectionAttempts();
+        'apply-instruction': {
+            schema: 'inject-instruction',
+            run: function(instance, params) {
+                return instance.websocketService.processInstruction(params);
+            }
         },
-        
-        // Debug and utility methods
-        setDynaDubbing: function(enabled) {
-            websocketService.isDynaDubbing = !!enabled;
-            console.log('Dyna dubbing set to:', websocketService.isDynaDubbing);
+        'apply-batch': {
+            schema: 'inject-batch',
+            run: function(instance, params) {
+                return instance.websocketService.processBatch(params);
+            }
         },
-        
-        getDynaDubbing: function() {
-            return websocketService.isDynaDubbing;
+        'revert-instruction': {
+            schema: 'revert-instruction',
+            run: function(instance, params) {
+                return verifyBridgeParams(instance, params).then(function() {
+                    return { reverted: instance.websocketService.handleRevertInstruction(params) };
+                });
+            }
         },
+        'get-injections': {
+            run: function(instance) {
+                var service = instance.websocketService;
+                return service.getInjections().map(describeInjection).concat(service.getScheduledInstructions());
+            }
+        }
+    };
+
+    // Frame Bridge Class
+    // Lets the admin dashboard drive the page over postMessage when it loads the site in an
+    // iframe, so editing works without a server. Only messages from the parent frame with an
+    // allowlisted origin are accepted. Requests { channel, type: 'request', requestId, command,
+    // params } are answered with { channel, type: 'response', requestId, ok, result | error },
+    // and once the parent has sent a request, the messages sent to the server (clicks,
+    // interactions and instruction results) are posted to it too.
+    function FrameBridge(instance, name) {
+        var self = this;
+        this.instance = instance;
+        this.name = name || null; // Requests must carry this as instance; null for the default instance
+        this.allowedOrigins = []; // Exact origins, or patterns with '*' such as 'https://*.example.com'
+        this.parentOrigin = null; // Origin of the parent's first accepted request; posts only go there
+        this.messageHandler = null; // Set while listening
+
+        instance.websocketService.onOutgoingMessage(function(message) {
+            self.forward(message);
+        });
+    }
+
+    // Set the origins allowed to drive the page: { allowedOrigins }. The bridge listens while
+    // there are any and the page is framed; an empty list (or null) turns it off.
+    FrameBridge.prototype.configure = function(options) {
+        options = options || {};
+        if (options.allowedOrigins !== undefined) {
+            this.allowedOrigins = (Array.isArray(options.allowedOrigins) ? options.allowedOrigins : []).filter(function(origin) {
+                if (typeof origin !== 'string' || !origin || origin === '*') {
+                    logger.warn('⚠️ Ignoring bridge origin: ' + origin + ' (origins must be listed explicitly)');
+                    return false;
+                }
+                return true;
+            });
+        }
+        if (this.allowedOrigins.length) {
+            this.start();
+        } else {
+            this.stop();
+        }
+    };
+
+    FrameBridge.prototype.start = function() {
+        var self = this;
+        if (this.messageHandler || typeof window === 'undefined') {
+            return;
+        }
+        if (window.parent === window) {
+            logger.debug('🪟 Page is not framed, frame bridge not started');
+            return;
+        }
+        this.messageHandler = function(event) {
+            self.handleMessage(event);
+        };
+        window.addEventListener('message', this.messageHandler);
+        logger.info('🪟 Frame bridge listening for ' + this.allowedOrigins.join(', '));
+    };
+
+    FrameBridge.prototype.stop = function() {
+        if (!this.messageHandler) {
+            return;
+        }
+        window.removeEventListener('message', this.messageHandler);
+        this.messageHandler = null;
+        this.parentOrigin = null;
+        logger.info('🪟 Frame bridge stopped');
+    };
+
+    FrameBridge.prototype.isAllowedOrigin = function(origin) {
+        return this.allowedOrigins.some(function(pattern) {
+            return pattern.indexOf('*') === -1 ? pattern === origin : matchesPathPattern(origin, pattern);
+        });
+    };
+
+    // Accept requests from the parent frame only, and only from allowed origins
+    FrameBridge.prototype.handleMessage = function(event) {
+        var data = event.data;
+        if (event.source !== window.parent || !data || typeof data !== 'object') {
+            return;
+        }
+
+        // Older dashboards toggle preview mode with a bare { type: 'SET_DEBUGGING', value }
+        var isLegacy = data.type === 'SET_DEBUGGING' && !this.name;
+        var isRequest = data.channel === BRIDGE_CHANNEL && data.type === 'request' && (data.instance || null) === this.name;
+        if (!isLegacy && !isRequest) {
+            return;
+        }
+        if (!this.isAllowedOrigin(event.origin)) {
+            logger.warn('🔒 Ignored frame bridge message from ' + event.origin);
+            return;
+        }
+
+        if (isLegacy) {
+            this.instance.setDynaDubbing(!!data.value);
+            return;
+        }
+        this.parentOrigin = event.origin;
+        this.handleRequest(data);
+    };
+
+    // Run a request's command and post the response
+    FrameBridge.prototype.handleRequest = function(request) {
+        var self = this;
+        logger.debug('🪟 Bridge request:', request.command);
+
+        new Promise(function(resolve) {
+            var command = bridgeCommands[request.command];
+            if (!command) {
+                throw new Error('Unknown command: ' + request.command);
+            }
+            var params = request.params || {};
+            var problem = command.schema ?
+                validateMessage({ type: command.schema, data: params }) :
+                (command.validate ? command.validate(params) : null);
+            if (problem) {
+                throw new Error(problem);
+            }
+            resolve(command.run(self.instance, params));
+        }).then(function(result) {
+            self.post({ type: 'response', requestId: request.requestId, ok: true, result: result });
+        }, function(error) {
+            logger.warn('⚠️ Bridge command ' + request.command + ' failed:', error.message);
+            self.post({ type: 'response', requestId: request.requestId, ok: false, error: error.message });
+        });
+    };
+
+    // Post a message sent to the server on to the parent as well. Error replies only make
+    // sense to the server.
+    FrameBridge.prototype.forward = function(message) {
+        if (message.type === 'error') {
+            return;
+        }
+        this.post({ type: message.type, data: message.data, timestamp: message.timestamp });
+    };
+
+    // Post to the parent frame, addressed to its origin so no other page can read it
+    FrameBridge.prototype.post = function(message) {
+        if (!this.messageHandler || !this.parentOrigin) {
+            return;
+        }
+        message.channel = BRIDGE_CHANNEL;
+        if (this.name) {
+            message.instance = this.name;
+        }
+        try {
+            window.parent.postMessage(message, this.parentOrigin);
+        } catch (error) {
+            logger.error('❌ Could not post to the parent frame:', error);
+        }
+    };
+
+    // Number of instances created with ElementTracker.create, used to name unnamed ones
+    var instanceCount = 0;
+
+    // Build a tracker instance with its own connection, listeners, injections and overlays.
+    // config: { url, root, name, cache, collectors, preview, tracking, bridge } plus any connect() option
+    // (token, transport, maxAttempts, ...). With a root (an element or a selector) the instance
+    // only tracks interactions and applies instructions inside that element; with a url it
+    // connects straight away. name keeps its cached instructions and stored queue apart from
+    // other instances'. Returns null when the root cannot be found.
+    function createTracker(config) {
+        config = config || {};
+
+        var root = config.root || null;
+        if (typeof root === 'string') {
+            root = typeof document !== 'undefined' ? document.querySelector(root) : null;
+            if (!root) {
+                logger.error('❌ Root element not found: ' + config.root);
+                return null;
+            }
+        }
+
+        var websocketService = new WebSocketService();
+        var elementTracker = new ElementClickingTracker();
         
-        // Debug method to test instruction handling
-        testInstruction: function(testInstruction) {
-            console.log('🧪 CDN: Testing instruction manually:', testInstruction);
+        // Link the websocket service to element tracker
+        elementTracker.websocketService = websocketService;
+        var elementInspector = new ElementInspector(elementTracker);
+        var highlightLayer = new HighlightLayer(function(element) {
+            return elementTracker.getUniqueSelector(element);
+        });
+        elementTracker.highlightLayer = highlightLayer;
+        websocketService.highlightLayer = highlightLayer;
+        websocketService.root = elementTracker.root = highlightLayer.root = root;
+        var sessionRecorder = new SessionRecorder(elementTracker);
+
+        if (config.name) {
+            websocketService.namespace = websocketService.instructionCache.namespace = String(config.name);
+        }
+        websocketService.configureReconnect(config);
+        websocketService.configureTransport(config);
+        websocketService.configureAuth(config);
+
+        // Published instructions cached by earlier page loads go back in straight away, unless
+        // the cache is off or cache is 'defer': then restoreCachedInstructions() brings them back
+        // once signatures are configured
+        if (config.cache === false) {
+            websocketService.instructionCache.enabled = false;
+        }
+        if (config.cache !== 'defer' && typeof window !== 'undefined' && typeof document !== 'undefined') {
+            websocketService.restoreCachedInstructions();
+        }
+
+        if (config.collectors) {
+            elementTracker.setCollectors(config.collectors);
+        }
+
+        // Public API
+        var api = {
+            // Main methods
+            enableElementTracking: function() {
+                elementTracker.enable();
+            },
             
-            if (!testInstruction) {
-                console.error('❌ CDN: testInstruction - no instruction provided');
-                return;
-            }
+            // Alias for backward compatibility
+            startTracking: function() {
+                elementTracker.enable();
+            },
             
-            // Create a test instruction with defaults if missing
-            var instruction = {
-                id: testInstruction.id || 'test-' + Date.now(),
-                action: testInstruction.action || 'removeElement',
-                selector: testInstruction.selector || 'body > *:first-child',
-                content: testInstruction.content || '<p>Test content</p>',
-                publish: true,
-                timestamp: new Date().toISOString()
-            };
+            disableElementTracking: function() {
+                elementTracker.disable();
+            },
             
-            console.log('🧪 CDN: Normalized test instruction:', instruction);
+            // Alias for backward compatibility  
+            stopTracking: function() {
+                elementTracker.disable();
+            },
             
-            // Test the instruction handling
-            websocketService.handleInstruction(instruction);
-        },
-        
-        // Debug method to simulate WebSocket message
-        simulateInstructionMessage: function(instruction) {
-            console.log('🧪 CDN: Simulating WebSocket instruction message');
-            
-            var message = {
-                type: 'inject-instruction',
-                data: instruction || {
-                    id: 'sim-' + Date.now(),
-                    action: 'removeElement',
-                    selector: 'h1',
+            // Inspect mode: hover to outline, click (or Enter) to select, arrows to move, Esc to exit
+            enableInspectMode: function() {
+                elementInspector.enable();
+            },
+            
+            disableInspectMode: function() {
+                elementInspector.disable();
+            },
+            
+            connect: function(url, options) {
+                websocketService.connect(url, options);
+            },
+            
+            disconnect: function() {
+                websocketService.disconnect();
+            },
+            
+            // Stop this instance for good: tracking, inspect mode, highlights, timers and the
+            // connection. Changes already applied stay on the page.
+            destroy: function() {
+                sessionRecorder.stop();
+                elementTracker.disable();
+                elementInspector.disable();
+                highlightLayer.clear();
+                frameBridge.stop();
+                websocketService.destroy();
+            },
+            
+            // Opt-in session recording, sent as session-chunk messages: { chunkInterval, maxChunkEvents }
+            startRecording: function(options) {
+                sessionRecorder.start(options);
+            },
+            
+            stopRecording: function() {
+                sessionRecorder.stop();
+            },
+            
+            // Replay session-chunk data in a sandboxed iframe added to container
+            createReplayer: function(container, chunks) {
+                return new SessionReplayer(container, chunks);
+            },
+            
+            // Let the admin dashboard drive the page over postMessage when it frames the site:
+            // { allowedOrigins }; an empty list turns the bridge off
+            configureBridge: function(options) {
+                frameBridge.configure(options);
+            },
+            
+            // WebSocket callback methods
+            onElementClick: function(callback) {
+                websocketService.onElementClick(callback);
+            },
+            
+            onInstruction: function(callback) {
+                websocketService.onInstruction(callback);
+            },
+            
+            // Element data methods
+            sendElementClick: function(elementData) {
+                websocketService.sendElementClick(elementData);
+            },
+            
+            // Outbound queue methods
+            configureQueue: function(options) {
+                websocketService.configureQueue(options);
+            },
+            
+            getQueueStats: function() {
+                return websocketService.getQueueStats();
+            },
+            
+            // Injection management methods
+            // Applied injections followed by scheduled instructions waiting for their startAt
+            getInjections: function() {
+                return websocketService.getInjections().concat(websocketService.getScheduledInstructions());
+            },
+            
+            revertInjection: function(id) {
+                return websocketService.revertInjection(id);
+            },
+            
+            revertInjectionsBySelector: function(selector) {
+                return websocketService.revertInjectionsBySelector(selector);
+            },
+            
+            revertAll: function() {
+                return websocketService.revertAll();
+            },
+            
+            // Instruction handling methods (manual execution)
+            handleInstruction: function(instruction) {
+                return websocketService.handleInstruction(instruction);
+            },
+            
+            shouldApplyInstruction: function(instruction) {
+                return websocketService.shouldApplyInstruction(instruction);
+            },
+            
+            appendHTML: function(instruction) {
+                return websocketService.appendHTML(instruction);
+            },
+            
+            replaceHTML: function(instruction) {
+                return websocketService.replaceHTML(instruction);
+            },
+            
+            removeElement: function(instruction) {
+                return websocketService.removeElement(instruction);
+            },
+            
+            applyInstruction: function(instruction) {
+                return websocketService.applyInstruction(instruction);
+            },
+            
+            // Cache published instructions in localStorage for the next page load: { enabled, maxEntries }
+            configureInstructionCache: function(options) {
+                options = options || {};
+                if (options.enabled !== undefined) {
+                    websocketService.instructionCache.enabled = !!options.enabled;
+                }
+                if (options.maxEntries !== undefined) {
+                    websocketService.instructionCache.maxEntries = options.maxEntries;
+                }
+            },
+            
+            // Re-apply cached instructions after a deferred start (cache: 'defer' or data-cache="defer"),
+            // e.g. once configureSignatures has been called; resolves once they are back
+            restoreCachedInstructions: function() {
+                return websocketService.restoreCachedInstructions();
+            },
+            
+            clearInstructionCache: function() {
+                websocketService.instructionCache.clear();
+            },
+            
+            // Apply { id, instructions, publish, targeting } all or nothing; resolves to one result
+            handleBatch: function(batch) {
+                return websocketService.handleBatch(batch);
+            },
+            
+            // Privacy methods: { maxTextLength, maskText, scrubEmails, scrubPhones, patterns }
+            configurePrivacy: function(options) {
+                elementTracker.privacyFilter.configure(options);
+            },
+            
+            // Interaction collector methods
+            configureCollectors: function(names) {
+                elementTracker.setCollectors(names);
+            },
+            
+            getCollectors: function() {
+                return elementTracker.collectors.slice();
+            },
+            
+            // Authentication: { token } or { tokenProvider: function returning a token or a promise }
+            configureAuth: function(options) {
+                websocketService.configureAuth(options);
+            },
+            
+            // Require signed instructions: { algorithm: 'HMAC' | 'ECDSA', secret | publicKey, hash }, null turns it off
+            configureSignatures: function(options) {
+                websocketService.signatureVerifier.configure(options);
+            },
+            
+            // Transport methods: { transport, batchInterval, maxBatchSize, postUrl, streamUrl, withCredentials }
+            configureTransport: function(options) {
+                websocketService.configureTransport(options);
+            },
+            
+            // Connection management methods
+            resetConnectionAttempts: function() {
+                websocketService.resetConnectionAttempts();
+            },
+            
+            configureReconnect: function(options) {
+                websocketService.configureReconnect(options);
+            },
+            
+            // Debug and utility methods
+            setDynaDubbing: function(enabled) {
+                websocketService.setDynaDubbing(enabled);
+            },
+            
+            getDynaDubbing: function() {
+                return websocketService.isDynaDubbing;
+            },
+            
+            // Keep injections in place when SPA frameworks re-render their targets.
+            // Individual instructions can override this with persist: true/false.
+            setPersistentInjections: function(enabled) {
+                websocketService.persistInjections = !!enabled;
+                websocketService.updatePersistenceObserver();
+                logger.info('Persistent injections set to:', websocketService.persistInjections);
+            },
+            
+            getPersistentInjections: function() {
+                return websocketService.persistInjections;
+            },
+            
+            // Extend the HTML sanitizer allowlists, e.g. { allowedTags: ['video'], allowedAttributes: { video: ['controls'] } }
+            configureSanitizer: function(options) {
+                websocketService.sanitizer.configure(options);
+            },
+            
+            // Debug method to test instruction handling
+            testInstruction: function(testInstruction) {
+                logger.debug('🧪 CDN: Testing instruction manually:', testInstruction);
+            
+                if (!testInstruction) {
+                    logger.error('❌ CDN: testInstruction - no instruction provided');
+                    return;
+                }
+            
+                // Create a test instruction with defaults if missing
+                var instruction = {
+                    id: testInstruction.id || 'test-' + Date.now(),
+                    action: testInstruction.action || 'removeElement',
+                    selector: testInstruction.selector || 'body > *:first-child',
+                    content: testInstruction.content || '<p>Test content</p>',
                     publish: true,
                     timestamp: new Date().toISOString()
-                }
-            };
+                };
             
-            console.log('🧪 CDN: Simulated message:', message);
+                logger.debug('🧪 CDN: Normalized test instruction:', instruction);
             
-            // Trigger the same flow as WebSocket onmessage
-            var event = {
-                data: JSON.stringify(message)
-            };
+                // Test the instruction handling
+                websocketService.handleInstruction(instruction);
+            },
             
-            // Call the message handler directly
-            console.log('🧪 CDN: Processing simulated message...');
+            // Debug method to simulate WebSocket message
+            simulateInstructionMessage: function(instruction) {
+                logger.debug('🧪 CDN: Simulating WebSocket instruction message');
             
-            try {
-                var parsedMessage = JSON.parse(event.data);
-                if (parsedMessage.type === 'inject-instruction') {
-                    var inst = parsedMessage.data;
-                    console.log('🧪 CDN: Calling handleInstruction with:', inst);
-                    websocketService.handleInstruction(inst);
+                var message = {
+                    type: 'inject-instruction',
+                    data: instruction || {
+                        id: 'sim-' + Date.now(),
+                        action: 'removeElement',
+                        selector: 'h1',
+                        publish: true,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            
+                logger.debug('🧪 CDN: Simulated message:', message);
+            
+                // Trigger the same flow as WebSocket onmessage
+                var event = {
+                    data: JSON.stringify(message)
+                };
+            
+                // Call the message handler directly
+                logger.debug('🧪 CDN: Processing simulated message...');
+            
+                try {
+                    var parsedMessage = JSON.parse(event.data);
+                    if (parsedMessage.type === 'inject-instruction') {
+                        var inst = parsedMessage.data;
+                        logger.debug('🧪 CDN: Calling handleInstruction with:', inst);
+                        websocketService.handleInstruction(inst);
+                    }
+                } catch (error) {
+                    logger.error('❌ CDN: Error in simulation:', error);
                 }
-            } catch (error) {
-                console.error('❌ CDN: Error in simulation:', error);
+            },
+            
+            // Element tracking utility methods
+            getElementPath: function(element) {
+                return elementTracker.getElementPath(element);
+            },
+            
+            getUniqueSelector: function(element) {
+                return elementTracker.getUniqueSelector(element);
+            },
+            
+            setStableAttributes: function(attributes) {
+                elementTracker.setStableAttributes(attributes);
+            },
+            
+            sendElementData: function(element) {
+                return elementTracker.sendElementData(element);
+            },
+            
+            highlightElement: function(element, options) {
+                return elementTracker.highlightElement(element, options);
+            },
+            
+            // Highlight every element matching a selector; returns the number highlighted
+            highlightSelector: function(selector, options) {
+                return highlightLayer.highlightSelector(selector, options);
+            },
+            
+            clearHighlights: function() {
+                highlightLayer.clear();
+            },
+            
+            // Highlight defaults: { color, duration (ms, 0 = until cleared), label (true or text) }
+            configureHighlight: function(options) {
+                highlightLayer.configure(options);
+            },
+            
+            // Connection state properties
+            get isConnected() {
+                return websocketService.isConnected;
+            },
+            
+            get isConnecting() {
+                return websocketService.isConnecting;
+            },
+            
+            get connectionAttempts() {
+                return websocketService.connectionAttempts;
+            },
+            
+            get maxConnectionAttempts() {
+                return websocketService.maxConnectionAttempts;
+            },
+            
+            get queueSize() {
+                return websocketService.outboundQueue.length;
+            },
+            
+            get droppedMessageCount() {
+                return websocketService.droppedMessageCount;
+            },
+            
+            get isTrackingEnabled() {
+                return elementTracker.enabled;
+            },
+            
+            get isInspecting() {
+                return elementInspector.enabled;
+            },
+            
+            get isRecording() {
+                return sessionRecorder.isRecording;
+            },
+            
+            // Element the instance is confined to (null for the whole page)
+            root: root,
+            
+            // Direct access to services (for advanced usage)
+            websocketService: websocketService,
+            elementTracker: elementTracker,
+            elementInspector: elementInspector,
+            
+            // Version info for debugging
+            version: VERSION,
+            protocolVersion: PROTOCOL_VERSION,
+            buildDate: new Date().toISOString()
+        };
+
+        var frameBridge = new FrameBridge(api, config.name);
+        if (config.bridge) {
+            frameBridge.configure(config.bridge);
+        }
+
+        if (config.preview !== undefined) {
+            api.setDynaDubbing(config.preview);
+        }
+        if (config.tracking) {
+            api.enableElementTracking();
+        }
+        if (config.url) {
+            api.connect(config.url);
+        }
+        return api;
+    }
+
+    // Initialize with debug logging
+    logger.debug('🔧 ElementTracker CDN: Initializing...');
+    logger.debug('🌐 Environment check:', {
+        hasWindow: typeof window !== 'undefined',
+        hasDocument: typeof document !== 'undefined',
+        hasWebSocket: typeof WebSocket !== 'undefined'
+    });
+    
+    // Environment compatibility checks
+    if (typeof window === 'undefined') {
+        logger.warn('⚠️ ElementTracker CDN: No window object detected - may not work in non-browser environments');
+    }
+    
+    if (typeof WebSocket === 'undefined') {
+        logger.warn('⚠️ ElementTracker CDN: No WebSocket support detected - use the http or sse transport');
+    }
+
+    // The default instance, configured from the script tag: data-transport="http",
+    // data-cache="false" (or "defer"), data-collectors="click,submit" and
+    // data-bridge-origins="https://admin.example.com"
+    var ElementTrackerAPI = createTracker({
+        transport: currentScript ? currentScript.getAttribute('data-transport') || undefined : undefined,
+        cache: currentScript && currentScript.getAttribute('data-cache') === 'false' ? false :
+            currentScript && currentScript.getAttribute('data-cache') === 'defer' ? 'defer' : true,
+        collectors: currentScript && currentScript.getAttribute('data-collectors') ?
+            currentScript.getAttribute('data-collectors').split(/[\s,]+/).filter(Boolean) : undefined,
+        bridge: currentScript && currentScript.getAttribute('data-bridge-origins') ?
+            { allowedOrigins: currentScript.getAttribute('data-bridge-origins').split(/[\s,]+/).filter(Boolean) } : undefined
+    });
+
+    // Registries and logging are shared by every instance, so they are only set up through
+    // the top-level object, not on instances made with create()
+    var globalMethods = {
+        // Register a custom action: { requires: [...], apply(element, instruction), revert(entry) }
+        registerInstructionHandler: function(action, handler) {
+            if (!action || !handler || typeof handler.apply !== 'function' || typeof handler.revert !== 'function') {
+                logger.error('❌ Invalid instruction handler for action:', action);
+                return;
             }
+            handler.requires = handler.requires || [];
+            instructionHandlers[action] = handler;
         },
         
-        // Element tracking utility methods
-        getElementPath: function(element) {
-            return elementTracker.getElementPath(element);
-        },
-        
-        sendElementData: function(element) {
-            return elementTracker.sendElementData(element);
-        },
-        
-        highlightElement: function(element) {
-            return elementTracker.highlightElement(element);
-        },
-        
-        // Connection state properties
-        get isConnected() {
-            return websocketService.isConnected;
+        // Register a custom collector: { events: [...], scope, throttle, handle(tracker, event) }
+        registerInteractionCollector: function(name, collector) {
+            if (!name || !collector || !Array.isArray(collector.events) || typeof collector.handle !== 'function') {
+                logger.error('❌ Invalid interaction collector:', name);
+                return;
+            }
+            interactionCollectors[name] = collector;
         },
         
-        get isConnecting() {
-            return websocketService.isConnecting;
+        // Register a custom transport constructor: new Transport(url, options) with open, send, close and isOpen
+        registerTransport: function(name, Transport) {
+            if (!name || typeof Transport !== 'function') {
+                logger.error('❌ Invalid transport:', name);
+                return;
+            }
+            transports[name] = Transport;
         },
         
-        get connectionAttempts() {
-            return websocketService.connectionAttempts;
+        // Register a custom targeting check used by instructions' targeting.predicates:
+        // predicate(instruction) returns true when the instruction should apply
+        registerTargetingPredicate: function(name, predicate) {
+            if (!name || typeof predicate !== 'function') {
+                logger.error('❌ Invalid targeting predicate:', name);
+                return;
+            }
+            targetingPredicates[name] = predicate;
         },
         
-        get maxConnectionAttempts() {
-            return websocketService.maxConnectionAttempts;
+        // Logging methods
+        setLogLevel: function(level) {
+            logger.setLevel(level);
         },
         
-        get isTrackingEnabled() {
-            return elementTracker.enabled;
+        getLogLevel: function() {
+            return logger.getLevel();
         },
         
-        // Direct access to services (for advanced usage)
-        websocketService: websocketService,
-        elementTracker: elementTracker,
-        
-        // Version info for debugging
-        version: '1.0.0',
-        buildDate: new Date().toISOString()
+        // sink(level, args) receives every message at or above the log level instead of the console
+        setLogSink: function(sink) {
+            logger.setSink(sink);
+        }
+    };
+    Object.keys(globalMethods).forEach(function(key) {
+        ElementTrackerAPI[key] = globalMethods[key];
+    });
+
+    // Create an independent instance, e.g. for a micro-frontend with its own dashboard:
+    // ElementTracker.create({ url, root: '#checkout' }). Unnamed instances are numbered in creation
+    // order ('instance-1', ...), so two of them never share a cache or queue even with the same url.
+    ElementTrackerAPI.create = function(config) {
+        config = config || {};
+        var options = {};
+        Object.keys(config).forEach(function(key) {
+            options[key] = config[key];
+        });
+        options.name = config.name || 'instance-' + (instanceCount + 1);
+        var instance = createTracker(options);
+        if (instance) {
+            instanceCount++;
+        }
+        return instance;
     };
     
     // Final initialization logging
-    console.log('✅ ElementTracker CDN: Initialized successfully!');
-    console.log('📋 Available methods:', Object.keys(ElementTrackerAPI).filter(key => typeof ElementTrackerAPI[key] === 'function'));
+    logger.info('✅ ElementTracker CDN: Initialized successfully!');
+    logger.debug('📋 Available methods:', Object.keys(ElementTrackerAPI).filter(key => typeof ElementTrackerAPI[key] === 'function'));
     
     // Auto-initialization if script has data-auto-init attribute
     if (typeof document !== 'undefined') {
-        var currentScript = document.currentScript || 
-                           (function() {
-                               var scripts = document.getElementsByTagName('script');
-                               return scripts[scripts.length - 1];
-                           })();
-        
         if (currentScript && currentScript.getAttribute('data-auto-init') === 'true') {
-            console.log('🚀 Auto-initializing ElementTracker with local React app behavior...');
+            logger.info('🚀 Auto-initializing ElementTracker with local React app behavior...');
             setTimeout(function() {
-                // Ensure exact local app behavior
-                ElementTrackerAPI.setDynaDubbing(true);
+                // Drafts only show for editors previewing the page: data-preview="true"
+                ElementTrackerAPI.setDynaDubbing(currentScript.getAttribute('data-preview') === 'true');
                 ElementTrackerAPI.enableElementTracking();
                 
                 var adminUrl = currentScript.getAttribute('data-admin-url') || 'http://localhost:5203/';
                 ElementTrackerAPI.connect(adminUrl);
                 
-                console.log('🎉 ElementTracker auto-initialized to match local React app!');
-                console.log('💡 isDynaDubbing:', ElementTrackerAPI.getDynaDubbing());
+                logger.info('🎉 ElementTracker auto-initialized to match local React app!');
+                logger.debug('💡 isDynaDubbing:', ElementTrackerAPI.getDynaDubbing());
             }, 100);
         }
     }